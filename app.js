@@ -1,39 +1,54 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const sqlite3 = require('sqlite3').verbose();
-const { Pool } = require('pg');
+const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
+const { createDatabase } = require('./lib/db');
+const { migrate, migrationStatus } = require('./lib/migrate');
+const { readSpreadsheet, mapStepRows, mapEmployeeRows } = require('./lib/importer');
+const { sendExport, isExportFormat } = require('./lib/exporter');
+const { median, findHighOutlier } = require('./lib/anomaly');
+const { hashPassword, createPasswordHash, verifyPassword, needsRehash, validatePassword } = require('./lib/passwords');
+const { createMailer } = require('./lib/mailer');
+const { createNotifier, channelNames } = require('./lib/notifier');
+const { startScheduler, parseTime, localDate } = require('./lib/scheduler');
+const webhooks = require('./lib/webhooks');
+const totp = require('./lib/totp');
+const { RULES: ACHIEVEMENT_RULES, evaluateAchievements, rebuildAchievements, describeAchievement } = require('./lib/achievements');
+const statistics = require('./lib/statistics');
+const { createEventHub } = require('./lib/live');
 
 /*
  * This application implements a step-tracking competition for Hepro AS.
- * Employees can record their daily steps without logging in, selecting
- * themselves and their location from drop-down lists. Admin users can
- * manage employees, locations, step entries and other administrators via
- * a protected interface. The server supports both SQLite (default) and
- * PostgreSQL (when the DATABASE_URL environment variable is defined) so
- * it can run locally and on platforms like Render.
+ * Employees record their daily steps through a personal link issued by
+ * an admin; the steps count for the location they belong to. Admin users can
+ * manage employees, locations, competitions, step entries and other
+ * administrators via a protected interface. The server supports both
+ * SQLite (default, in data.db or the file named by SQLITE_FILE) and
+ * PostgreSQL (when the DATABASE_URL environment variable is defined) so it
+ * can run locally and on platforms like Render.
  *
- * To keep the code concise, helper functions abstract most of the
- * differences between the two database backends.
+ * The adapter in lib/db.js hides the differences between the two database
+ * backends, so routes write their SQL once. The schema is defined by
+ * the numbered files in migrations/, applied at startup or with
+ * `node app.js migrate`.
  */
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const isPg = !!process.env.DATABASE_URL;
+const mailer = createMailer();
+const notifier = createNotifier({ mailer });
 let db;
-let pgPool;
 
-function generateSalt() {
-  return crypto.randomBytes(16).toString('hex');
-}
-function hashPassword(password, salt) {
-  return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-}
 function generateToken() {
   return crypto.randomBytes(32).toString('hex');
 }
+// Employee tokens and password reset tokens are long random values, so an
+// unsalted digest is enough to keep them unusable if the database leaks.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 function parseCookies(req) {
   const header = req.headers.cookie;
   const cookies = {};
@@ -44,60 +59,43 @@ function parseCookies(req) {
   });
   return cookies;
 }
-
-async function dbQuery(sql, params = []) {
-  if (isPg) {
-    const result = await pgPool.query(sql, params);
-    return result.rows;
-  }
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+// A Set-Cookie value for an HttpOnly cookie; a null value clears it. The
+// cookie is marked Secure when the request came over HTTPS, or always when
+// COOKIE_SECURE=true.
+function cookieHeader(req, name, value, { maxAge = 0, sameSite = 'Lax', path: cookiePath = '/' } = {}) {
+  const parts = [`${name}=${value === null ? '' : encodeURIComponent(value)}`, `Path=${cookiePath}`, 'HttpOnly', `SameSite=${sameSite}`, `Max-Age=${value === null ? 0 : maxAge}`];
+  if (req.secure || process.env.COOKIE_SECURE === 'true') parts.push('Secure');
+  return parts.join('; ');
 }
-async function dbRun(sql, params = []) {
-  if (isPg) {
-    await pgPool.query(sql, params);
-    return;
-  }
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) reject(err);
-      else resolve(this);
-    });
+
+async function connectDatabase() {
+  db = await createDatabase({
+    databaseUrl: process.env.DATABASE_URL,
+    sqliteFile: process.env.SQLITE_FILE || path.join(__dirname, 'data.db'),
   });
 }
 
 async function initDatabase() {
-  if (isPg) {
-    pgPool = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: { rejectUnauthorized: false },
-    });
-    await dbRun('CREATE TABLE IF NOT EXISTS employees (id SERIAL PRIMARY KEY, name TEXT UNIQUE NOT NULL)');
-    await dbRun('CREATE TABLE IF NOT EXISTS locations (id SERIAL PRIMARY KEY, name TEXT UNIQUE NOT NULL)');
-    await dbRun('CREATE TABLE IF NOT EXISTS steps (id SERIAL PRIMARY KEY, employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE, location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE SET NULL, date DATE NOT NULL, steps INTEGER NOT NULL, UNIQUE (employee_id, date))');
-    await dbRun('CREATE TABLE IF NOT EXISTS admin_users (id SERIAL PRIMARY KEY, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, salt TEXT NOT NULL)');
-    await dbRun('CREATE TABLE IF NOT EXISTS admin_sessions (id SERIAL PRIMARY KEY, user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE, token TEXT UNIQUE NOT NULL, expires_at TIMESTAMP NOT NULL)');
-  } else {
-    db = new sqlite3.Database(path.join(__dirname, 'data.db'));
-    await dbRun('CREATE TABLE IF NOT EXISTS employees (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL)');
-    await dbRun('CREATE TABLE IF NOT EXISTS locations (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL)');
-    await dbRun('CREATE TABLE IF NOT EXISTS steps (id INTEGER PRIMARY KEY AUTOINCREMENT, employee_id INTEGER NOT NULL, location_id INTEGER NOT NULL, date TEXT NOT NULL, steps INTEGER NOT NULL, UNIQUE (employee_id, date))');
-    await dbRun('CREATE TABLE IF NOT EXISTS admin_users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, salt TEXT NOT NULL)');
-    await dbRun('CREATE TABLE IF NOT EXISTS admin_sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, token TEXT UNIQUE NOT NULL, expires_at TEXT NOT NULL)');
-  }
+  await connectDatabase();
+  const applied = await migrate(db);
+  applied.forEach(m => console.log(`Applied migration ${m.version} ${m.name}`));
   const defaultEmail = process.env.DEFAULT_ADMIN_EMAIL || 'frede.ousland@hepro.no';
   const defaultPass = process.env.DEFAULT_ADMIN_PASS || 'frede.ousland@hepro.no';
-  const admins = await dbQuery('SELECT COUNT(*) AS count FROM admin_users');
-  const count = parseInt(admins[0].count || admins[0].COUNT || admins[0]['count'], 10);
-  if (count === 0) {
-    const salt = generateSalt();
-    const passwordHash = hashPassword(defaultPass, salt);
-    await dbRun('INSERT INTO admin_users (email, password_hash, salt) VALUES (?, ?, ?)', [defaultEmail, passwordHash, salt]);
+  const admins = await db.query('SELECT COUNT(*) AS count FROM admin_users');
+  if (admins[0].count === 0) {
+    // The default password is known to anyone reading this file, so the
+    // seeded admin has to replace it at the first login.
+    const hash = await createPasswordHash(defaultPass);
+    const id = await db.insert(
+      'INSERT INTO admin_users (email, password_hash, salt, password_iterations, must_change_password) VALUES (?, ?, ?, ?, 1)',
+      [defaultEmail, hash.password_hash, hash.salt, hash.password_iterations]
+    );
+    await recordAudit(db, {}, { action: 'create', entity: 'admin_user', entityId: id, after: { id, email: defaultEmail, role: 'super_admin' } });
   }
+  // Badges follow the rules in lib/achievements.js, which may have changed
+  // since the last start.
+  const awarded = await db.transaction(tx => rebuildAchievements(tx));
+  if (awarded.length > 0) console.log(`Awarded ${awarded.length} achievement(s)`);
 }
 
 async function requireAdmin(req, res, next) {
@@ -108,7 +106,7 @@ async function requireAdmin(req, res, next) {
       res.status(401).json({ error: 'Unauthorized' });
       return;
     }
-    const sessionRows = await dbQuery('SELECT admin_sessions.id, admin_sessions.user_id, admin_sessions.expires_at, admin_users.email FROM admin_sessions JOIN admin_users ON admin_users.id = admin_sessions.user_id WHERE token = ?', [token]);
+    const sessionRows = await db.query('SELECT admin_sessions.id, admin_sessions.user_id, admin_sessions.created_at, admin_sessions.last_seen_at, admin_sessions.expires_at, admin_users.email, admin_users.role, admin_users.must_change_password, admin_users.totp_enabled, admin_users.totp_required FROM admin_sessions JOIN admin_users ON admin_users.id = admin_sessions.user_id WHERE token = ?', [token]);
     if (sessionRows.length === 0) {
       res.status(401).json({ error: 'Invalid session' });
       return;
@@ -117,11 +115,209 @@ async function requireAdmin(req, res, next) {
     const now = new Date();
     const expiresAt = new Date(session.expires_at);
     if (expiresAt < now) {
-      await dbRun('DELETE FROM admin_sessions WHERE id = ?', [session.id]);
+      await db.run('DELETE FROM admin_sessions WHERE id = ?', [session.id]);
       res.status(401).json({ error: 'Session expired' });
       return;
     }
-    req.adminUser = { id: session.user_id, email: session.email };
+    if (now - new Date(session.last_seen_at) > SESSION_TOUCH_INTERVAL_MS) {
+      await db.run(
+        'UPDATE admin_sessions SET last_seen_at = ?, expires_at = ?, ip = ? WHERE id = ?',
+        [now.toISOString(), sessionExpiry(new Date(session.created_at), now).toISOString(), req.ip || null, session.id]
+      );
+    }
+    if (session.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+      res.status(403).json({ error: 'Password change required' });
+      return;
+    }
+    if (!session.must_change_password && session.totp_required && !session.totp_enabled && !TWO_FACTOR_SETUP_ROUTES.includes(req.path)) {
+      res.status(403).json({ error: 'Two-factor enrollment required' });
+      return;
+    }
+    const locations = await db.query('SELECT location_id FROM admin_user_locations WHERE user_id = ?', [session.user_id]);
+    req.adminUser = {
+      id: session.user_id,
+      email: session.email,
+      role: session.role,
+      locationIds: locations.map(l => l.location_id),
+    };
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/*
+ * Admin roles. Super admins may do everything. Location admins manage the
+ * employees and step entries of the locations assigned to them, and viewers
+ * can only read; a viewer with assigned locations only sees those. Routes
+ * that change data use requireRole instead of requireAdmin.
+ */
+const ADMIN_ROLES = ['super_admin', 'location_admin', 'viewer'];
+const MANAGER_ROLES = ['super_admin', 'location_admin'];
+function requireRole(...roles) {
+  return (req, res, next) => requireAdmin(req, res, () => {
+    if (!roles.includes(req.adminUser.role)) {
+      res.status(403).json({ error: 'Insufficient permissions' });
+      return;
+    }
+    next();
+  });
+}
+// The location ids an admin is limited to, or null when they see them all.
+function adminLocationScope(user) {
+  if (user.role === 'super_admin') return null;
+  if (user.role === 'viewer' && user.locationIds.length === 0) return null;
+  return user.locationIds;
+}
+function canManageLocation(user, locationId) {
+  const scope = adminLocationScope(user);
+  return scope === null || scope.includes(Number(locationId));
+}
+// SQL condition restricting a location column to an admin's scope.
+function locationScopeFilter(scope, column) {
+  if (scope === null) return { clause: '1 = 1', params: [] };
+  if (scope.length === 0) return { clause: '1 = 0', params: [] };
+  return { clause: `${column} IN (${scope.map(() => '?').join(', ')})`, params: scope };
+}
+// Loads an employee the current admin may manage. Returns the employee or
+// { status, error }.
+async function findManagedEmployee(req, id) {
+  const rows = await db.query(
+    'SELECT id, name, location_id, email, chat_webhook_url, notify_via, reminders_enabled, digest_enabled FROM employees WHERE id = ?',
+    [id]
+  );
+  if (rows.length === 0) return { status: 404, error: 'Employee not found' };
+  if (adminLocationScope(req.adminUser) !== null && !canManageLocation(req.adminUser, rows[0].location_id)) {
+    return { status: 403, error: 'Employee belongs to another location' };
+  }
+  return rows[0];
+}
+
+/*
+ * Location history. Where an employee belongs is kept as assignments with a
+ * start date in employee_locations; each lasts until the next one starts,
+ * and the first also covers the days before it. Step entries always count
+ * for the location the employee belonged to on that day, so nobody can
+ * move their steps to whichever location is behind. employees.location_id
+ * holds the current location for scoping and listing.
+ */
+async function employeeLocationOn(conn, employeeId, dateISO) {
+  const [current] = await conn.query(
+    'SELECT location_id FROM employee_locations WHERE employee_id = ? AND start_date <= ? ORDER BY start_date DESC LIMIT 1',
+    [employeeId, dateISO]
+  );
+  if (current) return current.location_id;
+  const [first] = await conn.query('SELECT location_id FROM employee_locations WHERE employee_id = ? ORDER BY start_date LIMIT 1', [employeeId]);
+  return first ? first.location_id : null;
+}
+// Brings the employee's entries and current location in line with their
+// assignments after the one starting on `startDate` was added, changed or
+// removed. Only the entries that assignment governs are re-mapped: those up
+// to the start of the next one and, when no earlier one exists, those
+// before it. Other entries keep their location, so entries stored before
+// the history was kept are not moved by a later change.
+async function applyLocationHistory(tx, employeeId, startDate) {
+  const conditions = ['employee_id = ?'];
+  const params = [employeeId];
+  const [earlier] = await tx.query('SELECT id FROM employee_locations WHERE employee_id = ? AND start_date < ? LIMIT 1', [employeeId, startDate]);
+  if (earlier) {
+    conditions.push('date >= ?');
+    params.push(startDate);
+  }
+  const [next] = await tx.query('SELECT start_date FROM employee_locations WHERE employee_id = ? AND start_date > ? ORDER BY start_date LIMIT 1', [employeeId, startDate]);
+  if (next) {
+    conditions.push('date < ?');
+    params.push(next.start_date);
+  }
+  await tx.run(
+    `UPDATE steps SET location_id = COALESCE(
+       (SELECT el.location_id FROM employee_locations el WHERE el.employee_id = steps.employee_id AND el.start_date <= steps.date ORDER BY el.start_date DESC LIMIT 1),
+       (SELECT el.location_id FROM employee_locations el WHERE el.employee_id = steps.employee_id ORDER BY el.start_date LIMIT 1),
+       location_id)
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  const locationId = await employeeLocationOn(tx, employeeId, toISODate(new Date()));
+  await tx.run('UPDATE employees SET location_id = ? WHERE id = ?', [locationId, employeeId]);
+}
+// Moves an employee to a location from `startDate`, replacing an assignment
+// starting the same day. Returns the new assignment, or null when the
+// employee already belonged to that location on that day.
+async function assignEmployeeLocation(tx, employeeId, locationId, startDate) {
+  const [existing] = await tx.query('SELECT id FROM employee_locations WHERE employee_id = ? AND start_date = ?', [employeeId, startDate]);
+  if (!existing && (await employeeLocationOn(tx, employeeId, startDate)) === locationId) return null;
+  await tx.run(
+    `INSERT INTO employee_locations (employee_id, location_id, start_date) VALUES (?, ?, ?)
+     ON CONFLICT (employee_id, start_date) DO UPDATE SET location_id = excluded.location_id`,
+    [employeeId, locationId, startDate]
+  );
+  await applyLocationHistory(tx, employeeId, startDate);
+  const [assignment] = await tx.query('SELECT id, employee_id, location_id, start_date FROM employee_locations WHERE employee_id = ? AND start_date = ?', [employeeId, startDate]);
+  return assignment;
+}
+
+/*
+ * Audit log. Every route that changes data records who made the change
+ * (an admin, an employee submitting steps or the system), the action, the
+ * affected entity and its values before and after. Entries are written on
+ * the connection making the change, so inside a transaction they are rolled
+ * back together with it.
+ */
+function auditActor(req) {
+  if (req.adminUser) return { type: 'admin', id: req.adminUser.id, name: req.adminUser.email };
+  if (req.employee) return { type: 'employee', id: req.employee.id, name: req.employee.name };
+  return { type: 'system', id: null, name: null };
+}
+async function recordAudit(conn, req, { action, entity, entityId = null, before = null, after = null, actor = auditActor(req) }) {
+  await conn.run(
+    'INSERT INTO audit_log (created_at, actor_type, actor_id, actor, action, entity, entity_id, old_values, new_values, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      new Date().toISOString(),
+      actor.type,
+      actor.id,
+      actor.name,
+      action,
+      entity,
+      entityId === null ? null : String(entityId),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      req.ip || null,
+    ]
+  );
+}
+
+/*
+ * Employees identify themselves with a personal link issued from the admin
+ * panel. Opening the link exchanges its token for a long-lived cookie, so
+ * the register page knows who is submitting without a name picker.
+ */
+const EMPLOYEE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+// A link to one of the pages under PUBLIC_URL, or null when it is not set.
+function pageLink(page) {
+  return process.env.PUBLIC_URL ? `${process.env.PUBLIC_URL.replace(/\/$/, '')}/${page}` : null;
+}
+async function findEmployeeByToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const rows = await db.query(
+    `SELECT employees.id, employees.name, employees.location_id, locations.name AS location_name, employees.daily_goal
+     FROM employee_tokens
+     JOIN employees ON employees.id = employee_tokens.employee_id
+     LEFT JOIN locations ON locations.id = employees.location_id
+     WHERE employee_tokens.token_hash = ?`,
+    [hashToken(token)]
+  );
+  return rows.length === 0 ? null : rows[0];
+}
+async function requireEmployee(req, res, next) {
+  try {
+    const cookies = parseCookies(req);
+    const employee = await findEmployeeByToken(cookies['employee_token']);
+    if (!employee) {
+      res.status(401).json({ error: 'Open your personal registration link to identify yourself' });
+      return;
+    }
+    req.employee = employee;
     next();
   } catch (err) {
     console.error(err);
@@ -129,14 +325,519 @@ async function requireAdmin(req, res, next) {
   }
 }
 
-app.use(cors());
+/*
+ * Competitions split the steps table into separate challenges. A
+ * competition covers an inclusive date range and optionally a set of
+ * enrolled locations; when none are enrolled every location takes part.
+ * Step entries are not tied to a competition directly, they belong to it
+ * by date and location.
+ */
+function toISODate(value) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  return d.toISOString().substring(0, 10);
+}
+async function loadCompetitionLocations(competitions, conn = db) {
+  const links = await conn.query('SELECT competition_id, location_id FROM competition_locations');
+  competitions.forEach(c => {
+    c.location_ids = links.filter(l => l.competition_id === c.id).map(l => l.location_id);
+  });
+  return competitions;
+}
+// `conn` is the transaction when called inside one.
+async function getCompetition(id, conn = db) {
+  const rows = await conn.query(`SELECT id, name, start_date, end_date, status, max_steps, review_steps, backfill_days FROM competitions WHERE id = ?`, [id]);
+  if (rows.length === 0) return null;
+  const [competition] = await loadCompetitionLocations(rows, conn);
+  return competition;
+}
+// The current competition is the most recently started open one, falling
+// back to the next one to start and then to the last one that ended, so
+// that results stay visible between challenges.
+async function getCurrentCompetition() {
+  const today = toISODate(new Date());
+  let rows = await db.query(`SELECT id FROM competitions WHERE status = 'open' AND start_date <= ? ORDER BY start_date DESC LIMIT 1`, [today]);
+  if (rows.length === 0) {
+    rows = await db.query("SELECT id FROM competitions WHERE status = 'open' ORDER BY start_date ASC LIMIT 1");
+  }
+  if (rows.length === 0) {
+    rows = await db.query('SELECT id FROM competitions ORDER BY end_date DESC LIMIT 1');
+  }
+  return rows.length === 0 ? null : getCompetition(rows[0].id);
+}
+// Resolves the competition a read endpoint should report on: the one named
+// by ?competitionId=, else the current one. Resolves to null when all data
+// should be reported (?competitionId=all or no competitions exist) and to
+// undefined for an unknown id.
+async function resolveCompetition(req) {
+  const { competitionId } = req.query;
+  if (competitionId === 'all') return null;
+  if (competitionId) {
+    const competition = await getCompetition(competitionId);
+    return competition || undefined;
+  }
+  return getCurrentCompetition();
+}
+// SQL condition restricting step rows to a competition.
+function competitionFilter(competition, dateColumn, locationColumn) {
+  if (!competition) return { clause: '1 = 1', params: [] };
+  let clause = `${dateColumn} >= ? AND ${dateColumn} <= ?`;
+  const params = [competition.start_date, competition.end_date];
+  if (competition.location_ids.length > 0) {
+    clause += ` AND ${locationColumn} IN (SELECT location_id FROM competition_locations WHERE competition_id = ?)`;
+    params.push(competition.id);
+  }
+  return { clause, params };
+}
+// Finds the open competition accepting an entry for the given date and
+// location, or with `includeClosed` any competition covering it. Returns
+// true when no competitions have been defined at all so that a fresh
+// installation accepts entries without any setup.
+async function findCompetitionForEntry(dateISO, locationId, { includeClosed = false } = {}) {
+  const all = await db.query('SELECT COUNT(*) AS count FROM competitions');
+  if (all[0].count === 0) return true;
+  const rows = await db.query(
+    `SELECT c.id, c.max_steps, c.review_steps, c.backfill_days FROM competitions c
+     WHERE ${includeClosed ? '' : "c.status = 'open' AND "}c.start_date <= ? AND c.end_date >= ?
+       AND (NOT EXISTS (SELECT 1 FROM competition_locations cl WHERE cl.competition_id = c.id)
+            OR EXISTS (SELECT 1 FROM competition_locations cl WHERE cl.competition_id = c.id AND cl.location_id = ?))
+     ORDER BY c.start_date DESC`,
+    [dateISO, dateISO, locationId]
+  );
+  return rows.length === 0 ? null : rows[0];
+}
+// How many days back employees may register entries: the competition's
+// backfill window, or BACKFILL_DAYS (default 7) when it sets none. Admin
+// corrections and imports are not limited.
+const DEFAULT_BACKFILL_DAYS = process.env.BACKFILL_DAYS ? parseInt(process.env.BACKFILL_DAYS, 10) : 7;
+function backfillDays(competition) {
+  return competition && competition !== true && competition.backfill_days !== null ? competition.backfill_days : DEFAULT_BACKFILL_DAYS;
+}
+// Whether an employee may still register `dateISO` themselves on `today`.
+function withinBackfill(dateISO, competition, today = toISODate(new Date())) {
+  return dateISO >= addDays(today, -backfillDays(competition));
+}
+// Converts an activity other than walking into steps. Returns null when
+// no activityId is given, { error } or { activityId, amount, steps }.
+async function convertActivity({ activityId, amount }) {
+  if (activityId === undefined || activityId === null || activityId === '') return null;
+  const [activity] = await db.query('SELECT id, steps_per_unit FROM activities WHERE id = ? AND active = 1', [activityId]);
+  if (!activity) return { error: 'Unknown activity' };
+  const value = Number(amount);
+  if (amount === undefined || amount === null || amount === '' || !isFinite(value) || value <= 0) {
+    return { error: 'Amount must be a positive number' };
+  }
+  return { activityId: activity.id, amount: value, steps: Math.round(value * Number(activity.steps_per_unit)) };
+}
+// Applies the rules every step entry must satisfy, whether it comes from
+// the register page or a bulk import; `backfill` applies the backfill
+// window for entries from employees. The steps of an `activity` from
+// convertActivity are added to those walked. An admin's `correction` of an
+// entry may also fall outside the open competitions, but keeps the step
+// limit of the competition the date belongs to. Returns { error } or the
+// normalised { dateISO, stepCount, activity, competition }; competition is
+// null when none apply.
+async function validateStepEntry({ locationId, date, steps, activity = null, backfill = false }, { correction = false } = {}) {
+  const walked = parseInt(steps, 10);
+  if (isNaN(walked) || walked < 0) return { error: 'Steps must be a non-negative integer' };
+  const stepCount = walked + (activity ? activity.steps : 0);
+  const entryDate = new Date(date);
+  if (isNaN(entryDate.getTime())) return { error: 'Invalid date' };
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (entryDate > today) return { error: 'Date cannot be in the future' };
+  const dateISO = entryDate.toISOString().substring(0, 10);
+  const competition = await findCompetitionForEntry(dateISO, locationId, { includeClosed: correction });
+  if (!competition && !correction) return { error: 'Date is outside the active competition' };
+  if (backfill && !withinBackfill(dateISO, competition)) {
+    return { error: `Entries more than ${backfillDays(competition)} days back must be registered by an administrator` };
+  }
+  if (competition && competition !== true && competition.max_steps !== null && stepCount > competition.max_steps) {
+    return { error: `Steps cannot exceed ${competition.max_steps} per day` };
+  }
+  return { dateISO, stepCount, activity, competition: competition === true ? null : competition };
+}
+
+/*
+ * Moderation. Entries from the register page and imports are checked
+ * before they are stored; suspicious ones are saved as 'pending' and only
+ * count in results once an admin approves them in /admin/review. An entry
+ * is held when it is above the competition's review level or far above the
+ * employee's own history. Employees with too little history are compared
+ * with what others at the location have recorded over the last 30 days.
+ */
+const HISTORY_SAMPLE_SIZE = 60;
+const MIN_HISTORY = 5;
+const LOCATION_WINDOW_DAYS = 30;
+async function reviewStepEntry(conn, { employeeId, locationId, dateISO, stepCount, competition }) {
+  const reasons = [];
+  if (competition && competition.review_steps !== null && stepCount > competition.review_steps) {
+    reasons.push(`Above the review level of ${competition.review_steps} steps`);
+  }
+  const history = await conn.query(
+    `SELECT steps FROM steps WHERE employee_id = ? AND date <> ? AND status = 'approved' ORDER BY date DESC LIMIT ${HISTORY_SAMPLE_SIZE}`,
+    [employeeId, dateISO]
+  );
+  if (history.length >= MIN_HISTORY) {
+    const personal = findHighOutlier(stepCount, history.map(r => r.steps), { minSamples: MIN_HISTORY, minRatio: 1.5 });
+    if (personal) reasons.push(`Far above own history (median ${Math.round(personal.median)})`);
+  } else {
+    const recent = await conn.query(
+      `SELECT steps FROM steps WHERE location_id = ? AND employee_id <> ? AND date > ? AND date <= ? AND status = 'approved'`,
+      [locationId, employeeId, addDays(dateISO, -LOCATION_WINDOW_DAYS), dateISO]
+    );
+    const local = findHighOutlier(stepCount, recent.map(r => r.steps), { minSamples: 10, minRatio: 2 });
+    if (local) reasons.push(`Far above others at the location (median ${Math.round(local.median)})`);
+  }
+  return reasons.length > 0
+    ? { status: 'pending', reviewReason: reasons.join('; ') }
+    : { status: 'approved', reviewReason: null };
+}
+// Stores an entry, replacing any earlier one for the same employee and day,
+// and records the change in the audit log. A replaced entry goes through
+// review again. `action` defaults to create or update depending on whether
+// an entry existed.
+const STEP_AUDIT_COLUMNS = 'id, employee_id, location_id, date, steps, activity_id, activity_amount, activity_steps, status, review_reason';
+// Saving replaces the day's entry, including the activity it was
+// registered with; `activity` comes from convertActivity.
+async function saveStepEntry(conn, req, { employeeId, locationId, date, steps, activity = null, status = 'approved', reviewReason = null }, action) {
+  const [before = null] = await conn.query(`SELECT ${STEP_AUDIT_COLUMNS} FROM steps WHERE employee_id = ? AND date = ?`, [employeeId, date]);
+  await conn.run(
+    `INSERT INTO steps (employee_id, location_id, date, steps, activity_id, activity_amount, activity_steps, status, review_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (employee_id, date) DO UPDATE SET steps = excluded.steps, location_id = excluded.location_id,
+       activity_id = excluded.activity_id, activity_amount = excluded.activity_amount, activity_steps = excluded.activity_steps,
+       status = excluded.status, review_reason = excluded.review_reason, reviewed_by = NULL, reviewed_at = NULL`,
+    [
+      employeeId, locationId, date, steps,
+      activity ? activity.activityId : null, activity ? activity.amount : null, activity ? activity.steps : null,
+      status, reviewReason,
+    ]
+  );
+  const [after] = await conn.query(`SELECT ${STEP_AUDIT_COLUMNS} FROM steps WHERE employee_id = ? AND date = ?`, [employeeId, date]);
+  await recordAudit(conn, req, { action: action || (before ? 'update' : 'create'), entity: 'step', entityId: after.id, before, after });
+  await emitWebhookEvent(conn, before ? 'steps.updated' : 'steps.created', await stepEventData(conn, after, before));
+}
+// Validates the body of POST/PUT /admin/competitions. Returns an error
+// message, or null with the normalised values stored on `out`.
+function validateCompetitionBody(body, out) {
+  const { name, startDate, endDate, locationIds, maxSteps, reviewSteps, backfillDays: backfill } = body || {};
+  if (!name || !name.trim()) return 'Name is required';
+  const start = toISODate(startDate);
+  const end = toISODate(endDate);
+  if (!start || !end) return 'Valid start and end dates are required';
+  if (start > end) return 'Start date must not be after end date';
+  if (locationIds !== undefined && !Array.isArray(locationIds)) return 'locationIds must be an array';
+  // Limits are optional; an empty value means no limit.
+  const limits = {};
+  for (const [key, value] of [['maxSteps', maxSteps], ['reviewSteps', reviewSteps]]) {
+    if (value === undefined || value === null || value === '') {
+      limits[key] = null;
+      continue;
+    }
+    limits[key] = parseInt(value, 10);
+    if (isNaN(limits[key]) || limits[key] <= 0) return `${key} must be a positive integer`;
+  }
+  if (limits.maxSteps !== null && limits.reviewSteps !== null && limits.reviewSteps > limits.maxSteps) {
+    return 'reviewSteps must not be above maxSteps';
+  }
+  // Zero limits employees to today; empty means the default window.
+  if (backfill === undefined || backfill === null || backfill === '') {
+    out.backfillDays = null;
+  } else {
+    out.backfillDays = parseInt(backfill, 10);
+    if (isNaN(out.backfillDays) || out.backfillDays < 0) return 'backfillDays must be a non-negative integer';
+  }
+  out.maxSteps = limits.maxSteps;
+  out.reviewSteps = limits.reviewSteps;
+  out.name = name.trim();
+  out.startDate = start;
+  out.endDate = end;
+  out.locationIds = (locationIds || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  return null;
+}
+async function setCompetitionLocations(tx, competitionId, locationIds) {
+  await tx.run('DELETE FROM competition_locations WHERE competition_id = ?', [competitionId]);
+  for (const locationId of locationIds) {
+    await tx.run('INSERT INTO competition_locations (competition_id, location_id) VALUES (?, ?)', [competitionId, locationId]);
+  }
+}
+
+/*
+ * Leaderboards rank employees and locations by their step totals over a
+ * period (a day, an ISO week or the whole competition). Teams are ranked by
+ * their average per member instead, so that a team is not rewarded for its
+ * size; members without entries count as zero. Equal values share a rank
+ * and the next rank is skipped ("1, 2, 2, 4"). Each ranking is compared
+ * with the preceding period of the same length to report how many places
+ * an entry has moved. Teams are made up of their current members.
+ */
+function addDays(dateISO, days) {
+  const d = new Date(dateISO + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+// The Monday of the ISO week a date falls in.
+function weekStart(dateISO) {
+  const weekday = (new Date(dateISO + 'T00:00:00Z').getUTCDay() + 6) % 7;
+  return addDays(dateISO, -weekday);
+}
+// Works out the date range for a leaderboard period around `anchor`
+// together with the range it is compared against.
+function leaderboardRange(period, anchor, competition) {
+  if (period === 'day') {
+    return { from: anchor, to: anchor, previous: { from: addDays(anchor, -1), to: addDays(anchor, -1) } };
+  }
+  if (period === 'week') {
+    const from = weekStart(anchor);
+    return { from, to: addDays(from, 6), previous: { from: addDays(from, -7), to: addDays(from, -1) } };
+  }
+  // Whole competition: standings up to the anchor compared with the
+  // standings the day before.
+  const from = competition ? toISODate(competition.start_date) : '1970-01-01';
+  return { from, to: anchor, previous: { from, to: addDays(anchor, -1) } };
+}
+// Assigns competition ranks to rows sorted by `key` (the total by
+// default), highest first.
+function rankRows(rows, key = 'total') {
+  rows.sort((a, b) => b[key] - a[key] || a.name.localeCompare(b.name));
+  rows.forEach((row, i) => {
+    row.rank = i > 0 && rows[i - 1][key] === row[key] ? rows[i - 1].rank : i + 1;
+  });
+  return rows;
+}
+// Employees are shown with the location of their last entry in the period,
+// so that someone who has moved appears where they walked at the time.
+async function leaderboardTotals(from, to, competition) {
+  const filter = competitionFilter(competition, 's.date', 's.location_id');
+  const where = `s.date >= ? AND s.date <= ? AND s.status = 'approved' AND ${filter.clause}`;
+  const params = [from, to, ...filter.params];
+  const employees = await db.query(
+    `SELECT t.id, t.name, t.total, t.days,
+       (SELECT l2.name FROM steps s2 JOIN locations l2 ON l2.id = s2.location_id
+        WHERE s2.employee_id = t.id AND s2.date = t.last_date) AS location
+     FROM (
+       SELECT e.id AS id, e.name AS name, SUM(s.steps) AS total, COUNT(*) AS days, MAX(s.date) AS last_date
+       FROM steps s
+       JOIN employees e ON e.id = s.employee_id
+       WHERE ${where}
+       GROUP BY e.id, e.name
+     ) t`,
+    params
+  );
+  const locations = await db.query(
+    `SELECT l.id AS id, l.name AS name, SUM(s.steps) AS total, COUNT(DISTINCT s.employee_id) AS participants
+     FROM steps s
+     JOIN locations l ON l.id = s.location_id
+     WHERE ${where}
+     GROUP BY l.id, l.name`,
+    params
+  );
+  const teams = await db.query(
+    `SELECT t.id AS id, t.name AS name, COALESCE(SUM(p.total), 0) AS total, COUNT(p.employee_id) AS participants,
+       (SELECT COUNT(*) FROM team_members tm2 WHERE tm2.team_id = t.id) AS members
+     FROM teams t
+     LEFT JOIN (
+       SELECT tm.team_id, s.employee_id, SUM(s.steps) AS total
+       FROM steps s
+       JOIN team_members tm ON tm.employee_id = s.employee_id
+       WHERE ${where}
+       GROUP BY tm.team_id, s.employee_id
+     ) p ON p.team_id = t.id
+     GROUP BY t.id, t.name`,
+    params
+  );
+  teams.forEach(r => {
+    r.total = Number(r.total);
+    r.participants = Number(r.participants);
+    r.members = Number(r.members);
+    r.average = r.members > 0 ? Math.round(r.total / r.members) : 0;
+  });
+  employees.forEach(r => {
+    r.total = Number(r.total);
+    r.days = Number(r.days);
+  });
+  locations.forEach(r => {
+    r.total = Number(r.total);
+    r.participants = Number(r.participants);
+    r.average = r.participants > 0 ? Math.round(r.total / r.participants) : 0;
+  });
+  return { employees: rankRows(employees), locations: rankRows(locations), teams: rankRows(teams.filter(r => r.participants > 0), 'average') };
+}
+// Adds previous_rank and rank_change (positive when moving up) to each row.
+function applyRankChange(current, previous) {
+  const previousRanks = new Map(previous.map(r => [r.id, r.rank]));
+  current.forEach(row => {
+    const prev = previousRanks.get(row.id);
+    row.previous_rank = prev === undefined ? null : prev;
+    row.rank_change = prev === undefined ? null : prev - row.rank;
+  });
+  return current;
+}
+
+// Adds the codes of the badges each employee holds, once per kind.
+async function attachAchievementCodes(rows) {
+  const badges = rows.length === 0 ? [] : await db.query(
+    `SELECT DISTINCT employee_id, code FROM employee_achievements WHERE employee_id IN (${rows.map(() => '?').join(', ')})`,
+    rows.map(r => r.id)
+  );
+  rows.forEach(row => {
+    row.achievements = badges.filter(b => b.employee_id === row.id).map(b => b.code);
+  });
+}
+// Builds the leaderboard for ?period=, ?date= and ?competitionId=. Returns
+// { status, error } when the query is invalid.
+async function buildLeaderboard(req) {
+  const period = req.query.period || 'competition';
+  if (!['day', 'week', 'competition'].includes(period)) {
+    return { status: 400, error: 'Period must be day, week or competition' };
+  }
+  const competition = await resolveCompetition(req);
+  if (competition === undefined) return { status: 404, error: 'Competition not found' };
+  let anchor = req.query.date ? toISODate(req.query.date) : toISODate(new Date());
+  if (!anchor) return { status: 400, error: 'Invalid date' };
+  if (competition && !req.query.date && anchor > toISODate(competition.end_date)) {
+    anchor = toISODate(competition.end_date);
+  }
+  const range = leaderboardRange(period, anchor, competition);
+  const current = await leaderboardTotals(range.from, range.to, competition);
+  const previous = await leaderboardTotals(range.previous.from, range.previous.to, competition);
+  await attachAchievementCodes(current.employees);
+  return {
+    period,
+    from: range.from,
+    to: range.to,
+    previous: range.previous,
+    competition_id: competition ? competition.id : null,
+    employees: applyRankChange(current.employees, previous.employees),
+    locations: applyRankChange(current.locations, previous.locations),
+    teams: applyRankChange(current.teams, previous.teams),
+  };
+}
+
+/*
+ * Filtering of step rows for the admin steps list and the exports. The
+ * query string may hold competitionId, from, to, employeeId, locationId,
+ * employee/location (case-insensitive name search), minSteps/maxSteps and
+ * status (pending, approved or rejected). Column names assume the
+ * aliases s (steps), e (employees) and l (locations). `scope` limits the
+ * rows to the locations of adminLocationScope().
+ */
+const STEP_STATUSES = ['pending', 'approved', 'rejected'];
+async function buildStepsFilter(query, scope = null) {
+  const competition = await resolveCompetition({ query });
+  if (competition === undefined) return { status: 404, error: 'Competition not found' };
+  const filter = competitionFilter(competition, 's.date', 's.location_id');
+  const scoped = locationScopeFilter(scope, 's.location_id');
+  const conditions = [filter.clause, scoped.clause];
+  const params = [...filter.params, ...scoped.params];
+  if (query.from) {
+    const from = toISODate(query.from);
+    if (!from) return { status: 400, error: 'Invalid from date' };
+    conditions.push('s.date >= ?');
+    params.push(from);
+  }
+  if (query.to) {
+    const to = toISODate(query.to);
+    if (!to) return { status: 400, error: 'Invalid to date' };
+    conditions.push('s.date <= ?');
+    params.push(to);
+  }
+  if (query.employeeId) {
+    conditions.push('s.employee_id = ?');
+    params.push(query.employeeId);
+  }
+  if (query.locationId) {
+    conditions.push('s.location_id = ?');
+    params.push(query.locationId);
+  }
+  if (query.employee) {
+    conditions.push('LOWER(e.name) LIKE ?');
+    params.push(`%${String(query.employee).toLowerCase()}%`);
+  }
+  if (query.location) {
+    conditions.push('LOWER(l.name) LIKE ?');
+    params.push(`%${String(query.location).toLowerCase()}%`);
+  }
+  for (const [key, operator] of [['minSteps', '>='], ['maxSteps', '<=']]) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = parseInt(query[key], 10);
+    if (isNaN(value)) return { status: 400, error: `${key} must be an integer` };
+    conditions.push(`s.steps ${operator} ?`);
+    params.push(value);
+  }
+  if (query.status) {
+    if (!STEP_STATUSES.includes(query.status)) return { status: 400, error: 'Status must be pending, approved or rejected' };
+    conditions.push('s.status = ?');
+    params.push(query.status);
+  }
+  return { clause: conditions.join(' AND '), params, competition };
+}
+
+/*
+ * Cross-origin requests and CSRF.
+ *
+ * Browsers only let other sites call the API when their origin is listed
+ * in CORS_ORIGINS (comma separated); those origins may send cookies. With
+ * CORS_ORIGINS=* any site may read the public endpoints, without cookies.
+ * Unset, no other site is allowed.
+ *
+ * Requests that change data and carry a session cookie (admin_token for
+ * /admin routes, employee_token for the rest) must also send the session's
+ * CSRF token in an X-CSRF-Token header. The token is derived from the
+ * session token, so it needs no storage, and the pages get it from
+ * /admin/check and /api/me. Routes that start a session are exempt, since
+ * any cookie sent to them is not used.
+ */
+function corsOptions(setting) {
+  const origins = String(setting || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+  if (origins.includes('*')) return { origin: '*' };
+  return { origin: origins.length > 0 ? origins : false, credentials: true };
+}
+const CSRF_EXEMPT_ROUTES = ['/admin/login', '/admin/login/2fa', '/admin/password-reset', '/admin/password-reset/confirm', '/api/identity'];
+function csrfTokenFor(sessionToken) {
+  return crypto.createHash('sha256').update(`csrf:${sessionToken}`).digest('hex');
+}
+function verifyCsrf(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || CSRF_EXEMPT_ROUTES.includes(req.path)) {
+    next();
+    return;
+  }
+  const sessionToken = parseCookies(req)[req.path.startsWith('/admin') ? 'admin_token' : 'employee_token'];
+  if (!sessionToken) {
+    next();
+    return;
+  }
+  const expected = Buffer.from(csrfTokenFor(sessionToken));
+  const actual = Buffer.from(String(req.get('X-CSRF-Token') || ''));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    res.status(403).json({ error: 'Invalid CSRF token' });
+    return;
+  }
+  next();
+}
+
+// Behind a proxy that terminates TLS (Render, Fly), set TRUST_PROXY so that
+// req.ip and req.protocol come from its X-Forwarded-* headers: the number of
+// proxies in front, or a comma-separated list of their addresses. Unset, the
+// headers are ignored, since any client could send them.
+function trustProxySetting(setting) {
+  const value = String(setting || '').trim();
+  if (!value || value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true') return true;
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+app.use(cors(corsOptions(process.env.CORS_ORIGINS)));
 app.use(bodyParser.json());
+app.use(verifyCsrf);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Public endpoints
 app.get('/api/employees', async (req, res) => {
   try {
-    const rows = await dbQuery('SELECT id, name FROM employees ORDER BY name');
+    const rows = await db.query('SELECT id, name FROM employees ORDER BY name');
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -144,391 +845,3322 @@ app.get('/api/employees', async (req, res) => {
 });
 app.get('/api/locations', async (req, res) => {
   try {
-    const rows = await dbQuery('SELECT id, name FROM locations ORDER BY name');
+    let rows = await db.query('SELECT id, name FROM locations WHERE archived_at IS NULL ORDER BY name');
+    if (req.query.competitionId) {
+      const competition = await getCompetition(req.query.competitionId);
+      if (!competition) {
+        res.status(404).json({ error: 'Competition not found' });
+        return;
+      }
+      if (competition.location_ids.length > 0) {
+        rows = rows.filter(l => competition.location_ids.includes(l.id));
+      }
+    }
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.post('/api/steps', async (req, res) => {
+app.post('/api/identity', async (req, res) => {
   try {
-    const { employeeId, locationId, date, steps } = req.body || {};
-    if (!employeeId || !locationId || !date || steps === undefined) {
-      res.status(400).json({ error: 'Missing fields' });
+    const { token } = req.body || {};
+    const employee = await findEmployeeByToken(token);
+    if (!employee) {
+      res.status(401).json({ error: 'Invalid or revoked link' });
       return;
     }
-    const stepCount = parseInt(steps, 10);
-    if (isNaN(stepCount) || stepCount < 0) {
-      res.status(400).json({ error: 'Steps must be a non-negative integer' });
+    res.setHeader('Set-Cookie', cookieHeader(req, 'employee_token', token, { maxAge: EMPLOYEE_COOKIE_MAX_AGE }));
+    res.json({ ...employee, csrfToken: csrfTokenFor(token) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/api/identity/logout', (req, res) => {
+  res.setHeader('Set-Cookie', cookieHeader(req, 'employee_token', null));
+  res.json({ success: true });
+});
+// earliest_entry_date is the first day the employee may register today.
+app.get('/api/me', requireEmployee, async (req, res) => {
+  try {
+    const today = toISODate(new Date());
+    const competition = await findCompetitionForEntry(today, req.employee.location_id);
+    res.json({
+      ...req.employee,
+      earliest_entry_date: addDays(today, -backfillDays(competition)),
+      csrfToken: csrfTokenFor(parseCookies(req)['employee_token']),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// The location is not chosen by the employee; an entry counts for the
+// location they belonged to on that date. Besides steps an entry may name
+// an activity (activityId with an amount in its unit), in which case the
+// steps walked are optional. Returns { error } or the entry with its
+// locationId.
+async function validateEmployeeEntry(employeeId, { date, steps, activityId, amount }) {
+  const activity = await convertActivity({ activityId, amount });
+  if (!date || (steps === undefined && !activity)) return { error: 'Missing fields' };
+  if (activity && activity.error) return activity;
+  const dateISO = toISODate(date);
+  const locationId = dateISO ? await employeeLocationOn(db, employeeId, dateISO) : null;
+  if (dateISO && !locationId) return { error: 'You are not assigned to a location; ask an administrator' };
+  const walked = activity && (steps === undefined || steps === null || steps === '') ? 0 : steps;
+  const entry = await validateStepEntry({ locationId, date, steps: walked, activity, backfill: true });
+  return entry.error ? entry : { ...entry, locationId };
+}
+app.post('/api/steps', requireEmployee, async (req, res) => {
+  try {
+    const employeeId = req.employee.id;
+    const entry = await validateEmployeeEntry(employeeId, req.body || {});
+    if (entry.error) {
+      res.status(400).json({ error: entry.error });
       return;
     }
-    const entryDate = new Date(date);
-    if (isNaN(entryDate.getTime())) {
-      res.status(400).json({ error: 'Invalid date' });
+    const { locationId } = entry;
+    const { review, awarded } = await db.transaction(async tx => {
+      const result = await reviewStepEntry(tx, { employeeId, ...entry });
+      await saveStepEntry(tx, req, { employeeId, locationId, date: entry.dateISO, steps: entry.stepCount, activity: entry.activity, ...result });
+      const badges = await evaluateAchievements(tx, [{ employee_id: employeeId, location_id: locationId, date: entry.dateISO }]);
+      return { review: result, awarded: badges };
+    });
+    afterStepsChanged();
+    res.json({
+      success: true,
+      status: review.status,
+      achievements: awarded.filter(a => a.employee_id === employeeId).map(describeAchievement),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Several days at once, such as a week from the register page:
+// { entries: [{ date, steps }] }, each entry as for POST /api/steps. Either every entry is saved or none is;
+// results lists the outcome per entry in the order given: its status
+// (pending, approved or unchanged) once saved, or an error. Entries equal
+// to the stored ones are left alone so that they are not reviewed again.
+const MAX_BATCH_ENTRIES = 31;
+app.post('/api/steps/batch', requireEmployee, async (req, res) => {
+  try {
+    const { entries } = req.body || {};
+    if (!Array.isArray(entries) || entries.length === 0) {
+      res.status(400).json({ error: 'entries must be a non-empty array' });
       return;
     }
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    if (entryDate > today) {
-      res.status(400).json({ error: 'Date cannot be in the future' });
+    if (entries.length > MAX_BATCH_ENTRIES) {
+      res.status(400).json({ error: `At most ${MAX_BATCH_ENTRIES} entries per request` });
       return;
     }
-    const dateISO = entryDate.toISOString().substring(0, 10);
-    if (isPg) {
-      await dbRun(
-        'INSERT INTO steps (employee_id, location_id, date, steps) VALUES ($1, $2, $3, $4) ON CONFLICT (employee_id, date) DO UPDATE SET steps = EXCLUDED.steps, location_id = EXCLUDED.location_id',
-        [employeeId, locationId, dateISO, stepCount]
-      );
-    } else {
-      const update = await dbRun('UPDATE steps SET steps = ?, location_id = ? WHERE employee_id = ? AND date = ?', [stepCount, locationId, employeeId, dateISO]);
-      if (update && update.changes === 0) {
-        await dbRun('INSERT INTO steps (employee_id, location_id, date, steps) VALUES (?, ?, ?, ?)', [employeeId, locationId, dateISO, stepCount]);
+    const employeeId = req.employee.id;
+    // An entry is unchanged when both its steps and its activity are.
+    const entryKey = (steps, activity) => [steps, activity ? activity.activityId : null, activity ? activity.amount : null].join('|');
+    const stored = new Map(
+      (await db.query('SELECT date, steps, activity_id, activity_amount FROM steps WHERE employee_id = ?', [employeeId])).map(e => [
+        toISODate(e.date),
+        entryKey(e.steps, e.activity_id === null ? null : { activityId: e.activity_id, amount: Number(e.activity_amount) }),
+      ])
+    );
+    const seen = new Set();
+    const results = [];
+    const valid = [];
+    for (const raw of entries) {
+      const entry = await validateEmployeeEntry(employeeId, raw || {});
+      let error = entry.error || null;
+      if (!error && seen.has(entry.dateISO)) error = 'Date appears more than once';
+      if (error) {
+        results.push({ date: raw && raw.date !== undefined ? raw.date : null, steps: raw && raw.steps !== undefined ? raw.steps : null, error });
+        continue;
       }
+      seen.add(entry.dateISO);
+      const result = { date: entry.dateISO, steps: entry.stepCount };
+      results.push(result);
+      if (stored.get(entry.dateISO) === entryKey(entry.stepCount, entry.activity)) result.status = 'unchanged';
+      else valid.push({ entry, result });
     }
-    res.json({ success: true });
+    if (results.some(r => r.error)) {
+      res.status(422).json({ error: 'Some entries are invalid; nothing was saved', results });
+      return;
+    }
+    // Entries are reviewed as they are written, oldest first, so that each
+    // counts as history for the next.
+    valid.sort((a, b) => a.entry.dateISO.localeCompare(b.entry.dateISO));
+    const awarded = await db.transaction(async tx => {
+      for (const { entry, result } of valid) {
+        const review = await reviewStepEntry(tx, { employeeId, ...entry });
+        await saveStepEntry(tx, req, {
+          employeeId, locationId: entry.locationId, date: entry.dateISO, steps: entry.stepCount, activity: entry.activity, ...review,
+        });
+        result.status = review.status;
+      }
+      return evaluateAchievements(tx, valid.map(({ entry }) => ({ employee_id: employeeId, location_id: entry.locationId, date: entry.dateISO })));
+    });
+    if (valid.length > 0) afterStepsChanged();
+    res.json({
+      success: true,
+      results,
+      achievements: awarded.filter(a => a.employee_id === employeeId).map(describeAchievement),
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.get('/api/averages', async (req, res) => {
+/*
+ * The employee's own progress: their entries, weekly totals, streaks of
+ * consecutive days with approved entries, their daily goal and their rank
+ * among the employees of their current location. Takes the same
+ * competitionId, from, to and status filters as /admin/steps; totals,
+ * streaks and the rank only count approved entries.
+ */
+const DEFAULT_DAILY_GOAL = Number(process.env.DEFAULT_DAILY_GOAL) || 10000;
+const ME_STEPS_FILTERS = ['competitionId', 'from', 'to', 'status'];
+function pickQuery(query, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (query[key] !== undefined) picked[key] = query[key];
+  });
+  return picked;
+}
+// The current streak still counts when today has no entry yet, as long as
+// yesterday does.
+function stepStreaks(dates, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const date of dates) {
+    run = previous && addDays(previous, 1) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  }
+  const current = previous && (previous === today || previous === addDays(today, -1)) ? run : 0;
+  return { current, longest };
+}
+app.get('/api/me/steps', requireEmployee, async (req, res) => {
   try {
-    let rows;
-    if (isPg) {
-      rows = await dbQuery(
-        `SELECT s.date AS date, l.name AS location, ROUND(AVG(s.steps)::numeric, 2) AS average
+    const query = pickQuery(req.query, ME_STEPS_FILTERS);
+    const filter = await buildStepsFilter({ ...query, employeeId: req.employee.id });
+    if (filter.error) {
+      res.status(filter.status).json({ error: filter.error });
+      return;
+    }
+    const entries = await db.query(
+      `SELECT s.id, s.date, s.steps, s.status, s.review_reason, l.id AS location_id, l.name AS location_name,
+         s.activity_id, s.activity_amount, s.activity_steps, a.name AS activity_name, a.unit AS activity_unit
+       FROM steps s
+       JOIN employees e ON e.id = s.employee_id
+       JOIN locations l ON l.id = s.location_id
+       LEFT JOIN activities a ON a.id = s.activity_id
+       WHERE ${filter.clause}
+       ORDER BY s.date DESC`,
+      filter.params
+    );
+    const goal = req.employee.daily_goal || DEFAULT_DAILY_GOAL;
+    const today = toISODate(new Date());
+    const approved = entries.filter(e => e.status === 'approved').reverse();
+    const weeks = new Map();
+    approved.forEach(entry => {
+      const start = weekStart(entry.date);
+      const week = weeks.get(start) || { week_start: start, total: 0, days: 0, goal_days: 0 };
+      week.total += entry.steps;
+      week.days += 1;
+      if (entry.steps >= goal) week.goal_days += 1;
+      weeks.set(start, week);
+    });
+    const todayEntry = approved.find(e => e.date === today);
+    let rank = null;
+    if (req.employee.location_id) {
+      const locationFilter = await buildStepsFilter({ ...pickQuery(req.query, ['competitionId', 'from', 'to']), locationId: req.employee.location_id });
+      const rows = await db.query(
+        `SELECT e.id AS id, e.name AS name, SUM(s.steps) AS total
          FROM steps s
+         JOIN employees e ON e.id = s.employee_id
          JOIN locations l ON l.id = s.location_id
-         GROUP BY l.name, s.date
-         ORDER BY s.date`
-      );
-    } else {
-      rows = await dbQuery(
-        `SELECT steps.date AS date, locations.name AS location, ROUND(AVG(steps.steps), 2) AS average
-         FROM steps
-         JOIN locations ON locations.id = steps.location_id
-         GROUP BY locations.name, steps.date
-         ORDER BY steps.date`
+         WHERE ${locationFilter.clause} AND s.status = 'approved'
+         GROUP BY e.id, e.name`,
+        locationFilter.params
       );
+      const totals = rankRows(rows.map(r => ({ ...r, total: Number(r.total) })));
+      const own = totals.find(r => r.id === req.employee.id);
+      rank = {
+        location_id: req.employee.location_id,
+        location_name: req.employee.location_name,
+        rank: own ? own.rank : null,
+        participants: totals.length,
+      };
+    }
+    res.json({
+      competition_id: filter.competition ? filter.competition.id : null,
+      goal: { daily: goal, personal: !!req.employee.daily_goal, default: DEFAULT_DAILY_GOAL },
+      today: { date: today, steps: todayEntry ? todayEntry.steps : 0, progress: Math.min(1, (todayEntry ? todayEntry.steps : 0) / goal) },
+      total: approved.reduce((sum, e) => sum + e.steps, 0),
+      goal_days: approved.filter(e => e.steps >= goal).length,
+      streak: stepStreaks(approved.map(e => e.date), today),
+      rank,
+      weeks: Array.from(weeks.values()).reverse(),
+      entries: entries.map(e => ({ ...e, goal_met: e.steps >= goal })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Sets the employee's daily goal; null goes back to the default.
+app.put('/api/me/goal', requireEmployee, async (req, res) => {
+  try {
+    const { dailyGoal } = req.body || {};
+    let goal = null;
+    if (dailyGoal !== null && dailyGoal !== undefined && dailyGoal !== '') {
+      goal = parseInt(dailyGoal, 10);
+      if (isNaN(goal) || goal < 1000 || goal > 100000) {
+        res.status(400).json({ error: 'Daily goal must be between 1000 and 100000 steps' });
+        return;
+      }
+    }
+    await db.transaction(async tx => {
+      await tx.run('UPDATE employees SET daily_goal = ? WHERE id = ?', [goal, req.employee.id]);
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'employee',
+        entityId: req.employee.id,
+        before: { id: req.employee.id, daily_goal: req.employee.daily_goal },
+        after: { id: req.employee.id, daily_goal: goal },
+      });
+    });
+    res.json({ success: true, dailyGoal: goal || DEFAULT_DAILY_GOAL });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Achievements: the badges that can be earned, and the badges of an
+// employee, newest first.
+async function employeeAchievements(employeeId) {
+  const rows = await db.query(
+    `SELECT a.code, a.period, a.earned_on, l.name AS location_name
+     FROM employee_achievements a
+     LEFT JOIN locations l ON l.id = a.location_id
+     WHERE a.employee_id = ?
+     ORDER BY a.earned_on DESC, a.id DESC`,
+    [employeeId]
+  );
+  return rows.map(describeAchievement);
+}
+app.get('/api/achievements', (req, res) => {
+  res.json(ACHIEVEMENT_RULES.map(({ code, name, description, icon }) => ({ code, name, description, icon })));
+});
+app.get('/api/me/achievements', requireEmployee, async (req, res) => {
+  try {
+    res.json(await employeeAchievements(req.employee.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.get('/api/employees/:id/achievements', async (req, res) => {
+  try {
+    const [employee] = await db.query('SELECT id FROM employees WHERE id = ?', [req.params.id]);
+    if (!employee) {
+      res.status(404).json({ error: 'Employee not found' });
+      return;
     }
+    res.json(await employeeAchievements(employee.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.get('/api/competitions', async (req, res) => {
+  try {
+    const rows = await db.query('SELECT id, name, start_date, end_date, status FROM competitions ORDER BY start_date DESC');
+    const current = await getCurrentCompetition();
+    await loadCompetitionLocations(rows);
+    rows.forEach(c => {
+      c.current = !!current && current.id === c.id;
+    });
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-
-// Admin authentication
-app.post('/admin/login', async (req, res) => {
+/*
+ * Statistics (see lib/statistics.js). /api/stats, the admin summary and the
+ * summary export all go through buildStatistics so that they report the
+ * same figures.
+ */
+const MAX_STATISTICS_DAYS = 3 * 366;
+// Takes the competition (null for all data), from and to (clipped to the
+// competition and today), interval, groupBy and optionally locationIds to
+// narrow the locations taking part, such as to an admin's scope. Returns
+// the statistics or { status, error }.
+async function buildStatistics({ competition, from, to, interval = 'day', groupBy = 'location', locationIds = null }) {
+  if (!statistics.INTERVALS.includes(interval)) {
+    return { status: 400, error: `interval must be one of ${statistics.INTERVALS.join(', ')}` };
+  }
+  if (!statistics.GROUPS.includes(groupBy)) {
+    return { status: 400, error: `groupBy must be one of ${statistics.GROUPS.join(', ')}` };
+  }
+  let start = from ? toISODate(from) : null;
+  let end = to ? toISODate(to) : null;
+  if (from && !start) return { status: 400, error: 'Invalid from date' };
+  if (to && !end) return { status: 400, error: 'Invalid to date' };
+  if (start && end && start > end) return { status: 400, error: 'from must not be after to' };
+  const today = toISODate(new Date());
+  // The first day there can be data, so that the rolling average does not
+  // count the days before it
+  let since;
+  if (competition) {
+    since = toISODate(competition.start_date);
+    if (!start || start < since) start = since;
+    if (!end || end > toISODate(competition.end_date)) end = toISODate(competition.end_date);
+  }
+  if (!end || end > today) end = today;
+  if (!competition) {
+    const [first] = await db.query("SELECT MIN(date) AS date FROM steps WHERE status = 'approved'");
+    since = first && first.date ? toISODate(first.date) : end;
+    if (!start) start = since;
+  }
+  if (start > end) return { from: start, to: end, interval, groupBy, buckets: [], groups: [], overall: null };
+  if ((new Date(end) - new Date(start)) / 86400000 >= MAX_STATISTICS_DAYS) {
+    return { status: 400, error: `The range must not be longer than ${MAX_STATISTICS_DAYS} days` };
+  }
+  let locations = await db.query('SELECT id, name FROM locations');
+  if (competition && competition.location_ids.length > 0) locations = locations.filter(l => competition.location_ids.includes(l.id));
+  if (locationIds) locations = locations.filter(l => locationIds.includes(l.id));
+  const entries = await db.query(
+    "SELECT employee_id, location_id, date, steps, activity_steps FROM steps WHERE status = 'approved' AND date >= ? AND date <= ?",
+    [addDays(start, -(statistics.ROLLING_DAYS - 1)), end]
+  );
+  const employees = await db.query('SELECT id, name FROM employees');
+  const assignments = await db.query('SELECT employee_id, location_id, start_date FROM employee_locations');
+  const teams = groupBy === 'team' ? await db.query('SELECT id, name FROM teams') : [];
+  const members = groupBy === 'team' ? await db.query('SELECT employee_id, team_id FROM team_members') : [];
+  return statistics.computeStatistics({
+    from: start,
+    to: end,
+    since,
+    interval,
+    groupBy,
+    entries: entries.map(e => ({ ...e, date: toISODate(e.date) })),
+    employees,
+    assignments: assignments.map(a => ({ ...a, start_date: toISODate(a.start_date) })),
+    locations,
+    teams,
+    teamOf: new Map(members.map(m => [m.employee_id, m.team_id])),
+  });
+}
+// Statistics for a competition (?competitionId=, the current one by
+// default) or for all data, with ?from=, ?to=, ?interval=day|week|month and
+// ?groupBy=location|team|employee.
+app.get('/api/stats', async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) {
-      res.status(400).json({ error: 'Email and password required' });
+    const competition = await resolveCompetition(req);
+    if (competition === undefined) {
+      res.status(404).json({ error: 'Competition not found' });
       return;
     }
-    const users = await dbQuery('SELECT id, password_hash, salt FROM admin_users WHERE email = ?', [email]);
-    if (users.length === 0) {
-      res.status(401).json({ error: 'Invalid credentials' });
+    const { from, to, interval, groupBy } = req.query;
+    const result = await buildStatistics({ competition, from, to, interval, groupBy });
+    if (result.error) {
+      res.status(result.status).json({ error: result.error });
       return;
     }
-    const user = users[0];
-    const hashed = hashPassword(password, user.salt);
-    if (hashed !== user.password_hash) {
-      res.status(401).json({ error: 'Invalid credentials' });
+    res.json({ competition_id: competition ? competition.id : null, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Average steps per entry, total and number of participants for each day,
+// per location or with ?groupBy=team per team.
+const AVERAGE_GROUPS = {
+  location: { name: 'l.name', join: 'JOIN locations l ON l.id = s.location_id' },
+  team: { name: 't.name', join: 'JOIN team_members tm ON tm.employee_id = s.employee_id JOIN teams t ON t.id = tm.team_id' },
+};
+app.get('/api/averages', async (req, res) => {
+  try {
+    const competition = await resolveCompetition(req);
+    if (competition === undefined) {
+      res.status(404).json({ error: 'Competition not found' });
       return;
     }
-    const token = generateToken();
-    const expires = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    await dbRun('INSERT INTO admin_sessions (user_id, token, expires_at) VALUES (?, ?, ?)', [user.id, token, isPg ? expires.toISOString() : expires.toISOString()]);
-    res.setHeader('Set-Cookie', `admin_token=${encodeURIComponent(token)}; Path=/; HttpOnly; Max-Age=${24 * 60 * 60}`);
-    res.json({ success: true });
+    const groupBy = req.query.groupBy || 'location';
+    if (!AVERAGE_GROUPS[groupBy]) {
+      res.status(400).json({ error: 'groupBy must be location or team' });
+      return;
+    }
+    const group = AVERAGE_GROUPS[groupBy];
+    const filter = competitionFilter(competition, 's.date', 's.location_id');
+    const rows = await db.query(
+      `SELECT s.date AS date, ${group.name} AS ${groupBy}, ROUND(CAST(AVG(s.steps) AS NUMERIC), 2) AS average,
+         SUM(s.steps) AS total, COUNT(DISTINCT s.employee_id) AS participants
+       FROM steps s
+       ${group.join}
+       WHERE s.status = 'approved' AND ${filter.clause}
+       GROUP BY ${group.name}, s.date
+       ORDER BY s.date`,
+      filter.params
+    );
+    res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.post('/admin/logout', requireAdmin, async (req, res) => {
+app.get('/api/leaderboard', async (req, res) => {
+  try {
+    const leaderboard = await buildLeaderboard(req);
+    if (leaderboard.error) {
+      res.status(leaderboard.status).json({ error: leaderboard.error });
+      return;
+    }
+    res.json(leaderboard);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin authentication
+//
+// Failed logins are counted per account and per IP address over a sliding
+// window; once either reaches its limit, further attempts are refused until
+// enough of the failures have aged out. A successful login clears the
+// account's failures. Attempts are kept for 30 days as a record.
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_ACCOUNT = 5;
+const MAX_FAILURES_PER_IP = 20;
+const LOGIN_ATTEMPT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Routes an admin who must change their password can still use.
+const PASSWORD_CHANGE_ROUTES = ['/admin/password', '/admin/logout'];
+// Routes an admin who is required to use two-factor authentication, but
+// has not set it up, can still use.
+const TWO_FACTOR_SETUP_ROUTES = ['/admin/2fa/setup', '/admin/2fa/enable', '/admin/logout'];
+// Compared against when the email is unknown, so that the response takes
+// as long as for a wrong password.
+const DUMMY_SALT = generateToken();
+
+// Sessions end after SESSION_IDLE_MS without use and SESSION_MAX_AGE_MS
+// after login at the latest. Use is recorded at most once a minute, and
+// expired sessions are removed by an hourly cleanup.
+const SESSION_IDLE_MS = (Number(process.env.ADMIN_SESSION_IDLE_HOURS) || 8) * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = (Number(process.env.ADMIN_SESSION_MAX_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function sessionExpiry(createdAt, now) {
+  return new Date(Math.min(now.getTime() + SESSION_IDLE_MS, createdAt.getTime() + SESSION_MAX_AGE_MS));
+}
+async function removeExpiredSessions() {
+  const now = new Date().toISOString();
+  await db.run('DELETE FROM admin_sessions WHERE expires_at < ?', [now]);
+  await db.run('DELETE FROM admin_login_challenges WHERE expires_at < ?', [now]);
+}
+function startSessionCleanup() {
+  const run = () => removeExpiredSessions().catch(err => console.error('Failed to remove expired sessions', err));
+  run();
+  setInterval(run, SESSION_CLEANUP_INTERVAL_MS).unref();
+}
+
+// Seconds until the account or address may try again, or 0.
+async function loginLockout(email, ip) {
+  const since = new Date(Date.now() - LOGIN_WINDOW_MS).toISOString();
+  let wait = 0;
+  for (const [column, value, max] of [['email', email, MAX_FAILURES_PER_ACCOUNT], ['ip', ip, MAX_FAILURES_PER_IP]]) {
+    if (!value) continue;
+    const failures = await db.query(
+      `SELECT attempted_at FROM login_attempts WHERE ${column} = ? AND succeeded = 0 AND attempted_at > ? ORDER BY attempted_at DESC LIMIT ${max}`,
+      [value, since]
+    );
+    if (failures.length < max) continue;
+    const until = new Date(failures[max - 1].attempted_at).getTime() + LOGIN_WINDOW_MS;
+    wait = Math.max(wait, Math.ceil((until - Date.now()) / 1000));
+  }
+  return wait;
+}
+async function recordLoginAttempt(email, ip, succeeded) {
+  const now = new Date();
+  await db.run('DELETE FROM login_attempts WHERE attempted_at < ?', [new Date(now.getTime() - LOGIN_ATTEMPT_RETENTION_MS).toISOString()]);
+  if (succeeded) await db.run('DELETE FROM login_attempts WHERE email = ? AND succeeded = 0', [email]);
+  await db.run('INSERT INTO login_attempts (email, ip, succeeded, attempted_at) VALUES (?, ?, ?, ?)', [email, ip, succeeded ? 1 : 0, now.toISOString()]);
+}
+async function startAdminSession(req, res, userId) {
+  const token = generateToken();
+  const now = new Date();
+  await db.run(
+    'INSERT INTO admin_sessions (user_id, token, created_at, last_seen_at, expires_at, ip, user_agent) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [userId, token, now.toISOString(), now.toISOString(), sessionExpiry(now, now).toISOString(), req.ip || null, String(req.get('User-Agent') || '').slice(0, 300) || null]
+  );
+  res.setHeader('Set-Cookie', cookieHeader(req, 'admin_token', token, { maxAge: SESSION_MAX_AGE_MS / 1000, sameSite: 'Strict' }));
+}
+// Stores a hash from createPasswordHash and ends the admin's other
+// sessions. The hash is made before the transaction starts, so that the
+// database is not held while it is computed.
+async function setAdminPassword(tx, userId, hash, { mustChange = false, keepToken = null } = {}) {
+  await tx.run(
+    'UPDATE admin_users SET password_hash = ?, salt = ?, password_iterations = ?, must_change_password = ? WHERE id = ?',
+    [hash.password_hash, hash.salt, hash.password_iterations, mustChange ? 1 : 0, userId]
+  );
+  await tx.run('DELETE FROM admin_sessions WHERE user_id = ? AND token <> ?', [userId, keepToken || '']);
+}
+const ADMIN_LOGIN_COLUMNS = 'id, email, password_hash, salt, password_iterations, must_change_password, totp_enabled';
+app.post('/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      res.status(400).json({ error: 'Email and password required' });
+      return;
+    }
+    const account = email.trim().toLowerCase();
+    const ip = req.ip || null;
+    const wait = await loginLockout(account, ip);
+    if (wait > 0) {
+      res.setHeader('Retry-After', String(wait));
+      res.status(429).json({ error: 'Too many failed attempts; try again later' });
+      return;
+    }
+    const [user] = await db.query(`SELECT ${ADMIN_LOGIN_COLUMNS} FROM admin_users WHERE LOWER(email) = ?`, [account]);
+    let valid = false;
+    if (user) {
+      valid = await verifyPassword(password, user);
+    } else {
+      await hashPassword(password, DUMMY_SALT);
+    }
+    if (!valid) {
+      await recordLoginAttempt(account, ip, false);
+      res.status(401).json({ error: 'Invalid credentials' });
+      return;
+    }
+    if (needsRehash(user)) {
+      const hash = await createPasswordHash(password);
+      await db.run('UPDATE admin_users SET password_hash = ?, salt = ?, password_iterations = ? WHERE id = ?', [hash.password_hash, hash.salt, hash.password_iterations, user.id]);
+    }
+    if (user.totp_enabled) {
+      await startLoginChallenge(req, res, user.id);
+      res.json({ success: true, twoFactorRequired: true });
+      return;
+    }
+    await recordLoginAttempt(account, ip, true);
+    await startAdminSession(req, res, user.id);
+    await recordAudit(db, req, { action: 'login', entity: 'admin_user', entityId: user.id, actor: { type: 'admin', id: user.id, name: user.email } });
+    res.json({ success: true, mustChangePassword: !!user.must_change_password });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Two-factor authentication
+//
+// Admins may protect their account with a TOTP authenticator app, and a
+// super admin can require it per account. With it enabled, a correct
+// password only starts a login challenge, held in its own short-lived
+// cookie; the session is created once POST /admin/login/2fa receives a
+// current code or one of the account's single-use recovery codes. Failed
+// codes count as failed logins, so the lockout above also applies to this
+// step, and the password is not counted as a success until the code is.
+// Each code is accepted once.
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Skrittkonkurranse';
+
+async function startLoginChallenge(req, res, userId) {
+  const token = generateToken();
+  const now = Date.now();
+  await db.run('DELETE FROM admin_login_challenges WHERE user_id = ? OR expires_at < ?', [userId, new Date(now).toISOString()]);
+  await db.run('INSERT INTO admin_login_challenges (user_id, token_hash, expires_at) VALUES (?, ?, ?)', [userId, hashToken(token), new Date(now + LOGIN_CHALLENGE_TTL_MS).toISOString()]);
+  res.setHeader('Set-Cookie', cookieHeader(req, 'admin_challenge', token, { maxAge: LOGIN_CHALLENGE_TTL_MS / 1000, sameSite: 'Strict', path: '/admin' }));
+}
+// Recovery codes are shown as two groups of five characters; spaces,
+// dashes and case are ignored when one is entered.
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+async function replaceRecoveryCodes(tx, userId) {
+  await tx.run('DELETE FROM admin_recovery_codes WHERE user_id = ?', [userId]);
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    await tx.run('INSERT INTO admin_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashToken(code)]);
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+}
+// Checks a TOTP code against the account and marks its time step as used.
+// Returns false for a wrong code or one that has already been used.
+async function consumeTotpCode(conn, user, code) {
+  const step = totp.verifyCode(user.totp_secret, code, { lastStep: user.totp_last_step });
+  if (step === null) return false;
+  const result = await conn.run(
+    'UPDATE admin_users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, user.id, step]
+  );
+  return result.changes > 0;
+}
+async function consumeRecoveryCode(conn, userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+  const result = await conn.run(
+    'UPDATE admin_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [new Date().toISOString(), userId, hashToken(normalized)]
+  );
+  return result.changes > 0;
+}
+async function clearTwoFactor(tx, userId) {
+  await tx.run('UPDATE admin_users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [userId]);
+  await tx.run('DELETE FROM admin_recovery_codes WHERE user_id = ?', [userId]);
+  await tx.run('DELETE FROM admin_login_challenges WHERE user_id = ?', [userId]);
+}
+// Codes entered by a signed-in admin count towards the login lockout too,
+// so that a stolen session cannot be used to guess them.
+async function refuseLockedOut(req, res) {
+  const wait = await loginLockout(req.adminUser.email.toLowerCase(), req.ip || null);
+  if (wait <= 0) return false;
+  res.setHeader('Retry-After', String(wait));
+  res.status(429).json({ error: 'Too many failed attempts; try again later' });
+  return true;
+}
+app.post('/admin/login/2fa', async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      res.status(400).json({ error: 'Code required' });
+      return;
+    }
+    const token = parseCookies(req)['admin_challenge'];
+    const challenges = token ? await db.query(
+      `SELECT admin_login_challenges.id, admin_login_challenges.expires_at, admin_login_challenges.attempts,
+        admin_users.id AS user_id, admin_users.email, admin_users.must_change_password, admin_users.totp_secret, admin_users.totp_last_step
+       FROM admin_login_challenges JOIN admin_users ON admin_users.id = admin_login_challenges.user_id
+       WHERE admin_login_challenges.token_hash = ?`,
+      [hashToken(token)]
+    ) : [];
+    const challenge = challenges[0];
+    if (!challenge || new Date(challenge.expires_at) < new Date() || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      if (challenge) await db.run('DELETE FROM admin_login_challenges WHERE id = ?', [challenge.id]);
+      res.status(401).json({ error: 'Login expired; sign in again' });
+      return;
+    }
+    const account = challenge.email.toLowerCase();
+    const ip = req.ip || null;
+    const wait = await loginLockout(account, ip);
+    if (wait > 0) {
+      res.setHeader('Retry-After', String(wait));
+      res.status(429).json({ error: 'Too many failed attempts; try again later' });
+      return;
+    }
+    const user = { id: challenge.user_id, totp_secret: challenge.totp_secret, totp_last_step: challenge.totp_last_step };
+    const valid = recoveryCode
+      ? await consumeRecoveryCode(db, user.id, recoveryCode)
+      : await consumeTotpCode(db, user, code);
+    if (!valid) {
+      await db.run('UPDATE admin_login_challenges SET attempts = attempts + 1 WHERE id = ?', [challenge.id]);
+      await recordLoginAttempt(account, ip, false);
+      res.status(401).json({ error: 'Invalid code' });
+      return;
+    }
+    await db.run('DELETE FROM admin_login_challenges WHERE id = ?', [challenge.id]);
+    await recordLoginAttempt(account, ip, true);
+    await startAdminSession(req, res, user.id);
+    res.append('Set-Cookie', cookieHeader(req, 'admin_challenge', null, { sameSite: 'Strict', path: '/admin' }));
+    await recordAudit(db, req, {
+      action: 'login',
+      entity: 'admin_user',
+      entityId: user.id,
+      after: { second_factor: recoveryCode ? 'recovery_code' : 'totp' },
+      actor: { type: 'admin', id: user.id, name: challenge.email },
+    });
+    res.json({ success: true, mustChangePassword: !!challenge.must_change_password });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Starts enrollment with a new secret, replacing any unconfirmed one. The
+// URI is what the QR code shown in the admin panel encodes.
+app.post('/admin/2fa/setup', requireAdmin, async (req, res) => {
+  try {
+    const [user] = await db.query('SELECT id, email, totp_enabled FROM admin_users WHERE id = ?', [req.adminUser.id]);
+    if (user.totp_enabled) {
+      res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      return;
+    }
+    const secret = totp.generateSecret();
+    await db.run('UPDATE admin_users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [secret, user.id]);
+    res.json({ secret, uri: totp.provisioningUri(secret, user.email, TOTP_ISSUER) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Confirms enrollment with a code from the app. The recovery codes are
+// returned only here and when they are regenerated.
+app.post('/admin/2fa/enable', requireAdmin, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const [user] = await db.query('SELECT id, totp_secret, totp_enabled, totp_last_step FROM admin_users WHERE id = ?', [req.adminUser.id]);
+    if (user.totp_enabled) {
+      res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      return;
+    }
+    if (!user.totp_secret) {
+      res.status(400).json({ error: 'Start the setup first' });
+      return;
+    }
+    if (await refuseLockedOut(req, res)) return;
+    const recoveryCodes = await db.transaction(async tx => {
+      if (!await consumeTotpCode(tx, user, code)) return null;
+      await tx.run('UPDATE admin_users SET totp_enabled = 1 WHERE id = ?', [user.id]);
+      const codes = await replaceRecoveryCodes(tx, user.id);
+      await recordAudit(tx, req, { action: 'enable_2fa', entity: 'admin_user', entityId: user.id });
+      return codes;
+    });
+    if (!recoveryCodes) {
+      await recordLoginAttempt(req.adminUser.email.toLowerCase(), req.ip || null, false);
+      res.status(400).json({ error: 'Invalid code' });
+      return;
+    }
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Turns two-factor authentication off for the signed-in admin, unless a
+// super admin requires it. Asks for the password, which counts as a login.
+app.post('/admin/2fa/disable', requireAdmin, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (typeof password !== 'string' || !password) {
+      res.status(400).json({ error: 'Password required' });
+      return;
+    }
+    const [user] = await db.query(`SELECT ${ADMIN_LOGIN_COLUMNS}, totp_required FROM admin_users WHERE id = ?`, [req.adminUser.id]);
+    if (!user.totp_enabled) {
+      res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+      return;
+    }
+    if (user.totp_required) {
+      res.status(409).json({ error: 'Two-factor authentication is required for this account' });
+      return;
+    }
+    const account = user.email.toLowerCase();
+    const wait = await loginLockout(account, req.ip || null);
+    if (wait > 0) {
+      res.setHeader('Retry-After', String(wait));
+      res.status(429).json({ error: 'Too many failed attempts; try again later' });
+      return;
+    }
+    if (!await verifyPassword(password, user)) {
+      await recordLoginAttempt(account, req.ip || null, false);
+      res.status(401).json({ error: 'Password is incorrect' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await clearTwoFactor(tx, user.id);
+      await recordAudit(tx, req, { action: 'disable_2fa', entity: 'admin_user', entityId: user.id });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Replaces the recovery codes, for when they are used up or lost. Needs a
+// current code from the app.
+app.post('/admin/2fa/recovery-codes', requireAdmin, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const [user] = await db.query('SELECT id, totp_secret, totp_enabled, totp_last_step FROM admin_users WHERE id = ?', [req.adminUser.id]);
+    if (!user.totp_enabled) {
+      res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+      return;
+    }
+    if (await refuseLockedOut(req, res)) return;
+    const recoveryCodes = await db.transaction(async tx => {
+      if (!await consumeTotpCode(tx, user, code)) return null;
+      const codes = await replaceRecoveryCodes(tx, user.id);
+      await recordAudit(tx, req, { action: 'regenerate_recovery_codes', entity: 'admin_user', entityId: user.id });
+      return codes;
+    });
+    if (!recoveryCodes) {
+      await recordLoginAttempt(req.adminUser.email.toLowerCase(), req.ip || null, false);
+      res.status(400).json({ error: 'Invalid code' });
+      return;
+    }
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Changes the signed-in admin's own password. A wrong current password
+// counts as a failed login.
+app.post('/admin/password', requireAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword) {
+      res.status(400).json({ error: 'Current and new password required' });
+      return;
+    }
+    const account = req.adminUser.email.toLowerCase();
+    const wait = await loginLockout(account, req.ip || null);
+    if (wait > 0) {
+      res.setHeader('Retry-After', String(wait));
+      res.status(429).json({ error: 'Too many failed attempts; try again later' });
+      return;
+    }
+    const [user] = await db.query(`SELECT ${ADMIN_LOGIN_COLUMNS} FROM admin_users WHERE id = ?`, [req.adminUser.id]);
+    if (!await verifyPassword(currentPassword, user)) {
+      await recordLoginAttempt(account, req.ip || null, false);
+      res.status(401).json({ error: 'Current password is incorrect' });
+      return;
+    }
+    const error = validatePassword(newPassword, user.email);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    if (newPassword === currentPassword) {
+      res.status(400).json({ error: 'New password must differ from the current one' });
+      return;
+    }
+    const hash = await createPasswordHash(newPassword);
+    await db.transaction(async tx => {
+      await setAdminPassword(tx, user.id, hash, { keepToken: parseCookies(req)['admin_token'] });
+      await recordAudit(tx, req, { action: 'password_change', entity: 'admin_user', entityId: user.id });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Password reset. A request always gets the same answer, whether or not the
+// address belongs to an admin, and at most RESET_LIMIT emails are sent per
+// account and hour. The answer is sent before the account is looked up, so
+// that the time it takes does not tell either. The link is valid for an
+// hour and can be used once; using it ends all of the admin's sessions.
+// Links only ever point at PUBLIC_URL: without it no email is sent, since a
+// link built from the Host header could be redirected by a forged request.
+const RESET_TTL_MS = 60 * 60 * 1000;
+const RESET_LIMIT = 3;
+async function sendPasswordReset(req, email) {
+  if (!pageLink('admin.html')) {
+    console.error('Password reset requested, but PUBLIC_URL is not set; no email sent');
+    return;
+  }
+  const [user] = await db.query('SELECT id, email FROM admin_users WHERE LOWER(email) = ?', [email.trim().toLowerCase()]);
+  if (!user) return;
+  const now = new Date();
+  const [{ count }] = await db.query(
+    'SELECT COUNT(*) AS count FROM password_resets WHERE user_id = ? AND created_at > ?',
+    [user.id, new Date(now.getTime() - RESET_TTL_MS).toISOString()]
+  );
+  if (count >= RESET_LIMIT) return;
+  const token = generateToken();
+  await db.transaction(async tx => {
+    await tx.run('INSERT INTO password_resets (user_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)', [user.id, hashToken(token), now.toISOString(), new Date(now.getTime() + RESET_TTL_MS).toISOString()]);
+    await recordAudit(tx, req, { action: 'password_reset_request', entity: 'admin_user', entityId: user.id });
+  });
+  await mailer.send({
+    to: user.email,
+    subject: 'Tilbakestill passordet ditt',
+    text: `Noen har bedt om å tilbakestille passordet til adminbrukeren ${user.email}.\n\n`
+      + `Åpne lenken for å velge et nytt passord. Den virker i én time og kan bare brukes én gang:\n${pageLink(`admin.html?reset=${token}`)}\n\n`
+      + 'Hvis det ikke var deg, kan du se bort fra denne e-posten.',
+  });
+}
+app.post('/admin/password-reset', (req, res) => {
+  const { email } = req.body || {};
+  if (typeof email !== 'string' || !email) {
+    res.status(400).json({ error: 'Email required' });
+    return;
+  }
+  res.json({ success: true });
+  sendPasswordReset(req, email).catch(err => console.error('Failed to send password reset email', err));
+});
+app.post('/admin/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const resets = typeof token === 'string' && token ? await db.query(
+      `SELECT password_resets.id, password_resets.expires_at, password_resets.used_at, admin_users.id AS user_id, admin_users.email
+       FROM password_resets JOIN admin_users ON admin_users.id = password_resets.user_id
+       WHERE password_resets.token_hash = ?`,
+      [hashToken(token)]
+    ) : [];
+    const reset = resets[0];
+    if (!reset || reset.used_at || new Date(reset.expires_at) < new Date()) {
+      res.status(400).json({ error: 'Invalid or expired reset link' });
+      return;
+    }
+    const error = validatePassword(password, reset.email);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const hash = await createPasswordHash(password);
+    await db.transaction(async tx => {
+      await setAdminPassword(tx, reset.user_id, hash);
+      await tx.run('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [new Date().toISOString(), reset.user_id]);
+      await tx.run('DELETE FROM login_attempts WHERE email = ? AND succeeded = 0', [reset.email.toLowerCase()]);
+      await recordAudit(tx, req, { action: 'password_reset', entity: 'admin_user', entityId: reset.user_id, actor: { type: 'admin', id: reset.user_id, name: reset.email } });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/logout', requireAdmin, async (req, res) => {
+  try {
+    const cookies = parseCookies(req);
+    const token = cookies['admin_token'];
+    await db.run('DELETE FROM admin_sessions WHERE token = ?', [token]);
+    await recordAudit(db, req, { action: 'logout', entity: 'admin_user', entityId: req.adminUser.id });
+    res.setHeader('Set-Cookie', cookieHeader(req, 'admin_token', null, { sameSite: 'Strict' }));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Active admin sessions. Admins see and revoke their own; super admins can
+// pass userId for another admin's, or all=true for everyone's.
+const SESSION_COLUMNS = `admin_sessions.id, admin_sessions.user_id, admin_users.email, admin_sessions.created_at,
+  admin_sessions.last_seen_at, admin_sessions.expires_at, admin_sessions.ip, admin_sessions.user_agent`;
+function sessionOwnerFilter(req) {
+  const { userId, all } = req.query;
+  if ((userId || all === 'true') && req.adminUser.role !== 'super_admin') return { status: 403, error: 'Insufficient permissions' };
+  if (all === 'true') return { clause: '1 = 1', params: [] };
+  return { clause: 'admin_sessions.user_id = ?', params: [userId ? Number(userId) : req.adminUser.id] };
+}
+app.get('/admin/sessions', requireAdmin, async (req, res) => {
+  try {
+    const filter = sessionOwnerFilter(req);
+    if (filter.error) {
+      res.status(filter.status).json({ error: filter.error });
+      return;
+    }
+    const rows = await db.query(
+      `SELECT ${SESSION_COLUMNS}, admin_sessions.token FROM admin_sessions JOIN admin_users ON admin_users.id = admin_sessions.user_id
+       WHERE ${filter.clause} AND admin_sessions.expires_at > ? ORDER BY admin_sessions.last_seen_at DESC`,
+      [...filter.params, new Date().toISOString()]
+    );
+    const current = parseCookies(req)['admin_token'];
+    res.json(rows.map(({ token, ...session }) => ({ ...session, current: token === current })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Revokes every session matching the filter except the one making the
+// request.
+app.delete('/admin/sessions', requireAdmin, async (req, res) => {
+  try {
+    const filter = sessionOwnerFilter(req);
+    if (filter.error) {
+      res.status(filter.status).json({ error: filter.error });
+      return;
+    }
+    const current = parseCookies(req)['admin_token'];
+    const revoked = await db.transaction(async tx => {
+      const sessions = await tx.query(
+        `SELECT ${SESSION_COLUMNS} FROM admin_sessions JOIN admin_users ON admin_users.id = admin_sessions.user_id WHERE ${filter.clause} AND admin_sessions.token <> ?`,
+        [...filter.params, current]
+      );
+      for (const session of sessions) {
+        await tx.run('DELETE FROM admin_sessions WHERE id = ?', [session.id]);
+        await recordAudit(tx, req, { action: 'revoke', entity: 'admin_session', entityId: session.id, before: session });
+      }
+      return sessions.length;
+    });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.delete('/admin/sessions/:id', requireAdmin, async (req, res) => {
+  try {
+    const [session] = await db.query(
+      `SELECT ${SESSION_COLUMNS}, admin_sessions.token FROM admin_sessions JOIN admin_users ON admin_users.id = admin_sessions.user_id WHERE admin_sessions.id = ?`,
+      [req.params.id]
+    );
+    if (!session || (session.user_id !== req.adminUser.id && req.adminUser.role !== 'super_admin')) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+    const { token, ...before } = session;
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM admin_sessions WHERE id = ?', [session.id]);
+      await recordAudit(tx, req, { action: 'revoke', entity: 'admin_session', entityId: session.id, before });
+    });
+    if (token === parseCookies(req)['admin_token']) {
+      res.setHeader('Set-Cookie', cookieHeader(req, 'admin_token', null, { sameSite: 'Strict' }));
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.get('/admin/check', async (req, res) => {
   try {
     const cookies = parseCookies(req);
     const token = cookies['admin_token'];
-    await dbRun('DELETE FROM admin_sessions WHERE token = ?', [token]);
-    res.setHeader('Set-Cookie', 'admin_token=; Path=/; HttpOnly; Max-Age=0');
+    if (!token) {
+      res.json({ loggedIn: false });
+      return;
+    }
+    const rows = await db.query('SELECT admin_sessions.expires_at, admin_users.id, admin_users.email, admin_users.role, admin_users.must_change_password, admin_users.totp_enabled, admin_users.totp_required FROM admin_sessions JOIN admin_users ON admin_users.id = admin_sessions.user_id WHERE token = ?', [token]);
+    if (rows.length === 0) {
+      res.json({ loggedIn: false });
+      return;
+    }
+    const expiresAt = new Date(rows[0].expires_at);
+    if (expiresAt < new Date()) {
+      res.json({ loggedIn: false });
+      return;
+    }
+    const locations = await db.query('SELECT location_id FROM admin_user_locations WHERE user_id = ?', [rows[0].id]);
+    const [{ count: recoveryCodesLeft }] = await db.query('SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE user_id = ? AND used_at IS NULL', [rows[0].id]);
+    res.json({
+      loggedIn: true,
+      csrfToken: csrfTokenFor(token),
+      user: {
+        id: rows[0].id,
+        email: rows[0].email,
+        role: rows[0].role,
+        location_ids: locations.map(l => l.location_id),
+        must_change_password: !!rows[0].must_change_password,
+        two_factor_enabled: !!rows[0].totp_enabled,
+        two_factor_required: !!rows[0].totp_required,
+        recovery_codes_left: Number(recoveryCodesLeft),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: employees
+// Employees belong to a location (location_id), which decides which
+// location admins may manage them. Setting a location on create or update
+// assigns the employee to it from today; earlier or later transfers are
+// made through /admin/employees/:id/locations.
+async function resolveEmployeeLocation(req, locationId) {
+  if (locationId === undefined || locationId === null || locationId === '') {
+    if (adminLocationScope(req.adminUser) !== null) return { status: 400, error: 'Location is required' };
+    return { locationId: null };
+  }
+  const rows = await db.query('SELECT id, archived_at FROM locations WHERE id = ?', [locationId]);
+  if (rows.length === 0) return { status: 400, error: 'Unknown location' };
+  if (rows[0].archived_at) return { status: 400, error: 'Location is archived' };
+  if (!canManageLocation(req.adminUser, rows[0].id)) return { status: 403, error: 'Location not permitted' };
+  return { locationId: rows[0].id };
+}
+// Contact settings for notifications (see Notifications below):
+// email, chatWebhookUrl (an https Slack or Teams incoming webhook),
+// notifyVia (a channel or 'none') and remindersEnabled/digestEnabled. Fields
+// left out keep their `current` value. Returns { error } or the columns to
+// store.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+function parseEmployeeContact(body, current = {}) {
+  const pick = (key, column, fallback) => (body[key] === undefined ? (current[column] === undefined ? fallback : current[column]) : body[key]);
+  const email = pick('email', 'email', null);
+  const webhook = pick('chatWebhookUrl', 'chat_webhook_url', null);
+  const contact = {
+    email: email ? String(email).trim() : null,
+    chat_webhook_url: webhook ? String(webhook).trim() : null,
+    notify_via: pick('notifyVia', 'notify_via', 'none') || 'none',
+    reminders_enabled: pick('remindersEnabled', 'reminders_enabled', true) ? 1 : 0,
+    digest_enabled: pick('digestEnabled', 'digest_enabled', true) ? 1 : 0,
+  };
+  if (contact.email && !EMAIL_PATTERN.test(contact.email)) return { error: 'Invalid email address' };
+  if (contact.chat_webhook_url) {
+    let url;
+    try {
+      url = new URL(contact.chat_webhook_url);
+    } catch (err) {
+      return { error: 'Invalid webhook URL' };
+    }
+    if (url.protocol !== 'https:') return { error: 'Webhook URL must use https' };
+  }
+  if (contact.notify_via !== 'none' && !channelNames().includes(contact.notify_via)) {
+    return { error: `Notify via must be one of none, ${channelNames().join(', ')}` };
+  }
+  if (contact.notify_via === 'email' && !contact.email) return { error: 'An email address is required for email notifications' };
+  if (['slack', 'teams'].includes(contact.notify_via) && !contact.chat_webhook_url) {
+    return { error: 'A webhook URL is required for chat notifications' };
+  }
+  return contact;
+}
+app.get('/admin/employees', requireAdmin, async (req, res) => {
+  try {
+    const scoped = locationScopeFilter(adminLocationScope(req.adminUser), 'employees.location_id');
+    const rows = await db.query(
+      `SELECT employees.id, employees.name, employees.location_id, locations.name AS location_name, employee_tokens.created_at AS link_created_at,
+         employees.email, employees.chat_webhook_url, employees.notify_via, employees.reminders_enabled, employees.digest_enabled
+       FROM employees
+       LEFT JOIN locations ON locations.id = employees.location_id
+       LEFT JOIN employee_tokens ON employee_tokens.employee_id = employees.id
+       WHERE ${scoped.clause}
+       ORDER BY employees.name`,
+      scoped.params
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/employees', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const { name, locationId } = req.body || {};
+    if (!name || !name.trim()) {
+      res.status(400).json({ error: 'Name is required' });
+      return;
+    }
+    const location = await resolveEmployeeLocation(req, locationId);
+    if (location.error) {
+      res.status(location.status).json({ error: location.error });
+      return;
+    }
+    const contact = parseEmployeeContact(req.body);
+    if (contact.error) {
+      res.status(400).json({ error: contact.error });
+      return;
+    }
+    await db.transaction(async tx => {
+      const id = await tx.insert(
+        `INSERT INTO employees (name, location_id, email, chat_webhook_url, notify_via, reminders_enabled, digest_enabled)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [name.trim(), location.locationId, contact.email, contact.chat_webhook_url, contact.notify_via, contact.reminders_enabled, contact.digest_enabled]
+      );
+      if (location.locationId) await assignEmployeeLocation(tx, id, location.locationId, toISODate(new Date()));
+      await recordAudit(tx, req, { action: 'create', entity: 'employee', entityId: id, after: { id, name: name.trim(), location_id: location.locationId, ...contact } });
+      const [created] = await tx.query(
+        'SELECT e.id, e.name, e.location_id, l.name AS location_name FROM employees e LEFT JOIN locations l ON l.id = e.location_id WHERE e.id = ?',
+        [id]
+      );
+      await emitWebhookEvent(tx, 'employee.created', created);
+    });
+    res.json({ success: true });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'Employee already exists' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.put('/admin/employees/:id', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const { name, locationId } = req.body || {};
+    if (!name || !name.trim()) {
+      res.status(400).json({ error: 'Name is required' });
+      return;
+    }
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    const location = locationId === undefined || String(locationId) === String(employee.location_id)
+      ? { locationId: employee.location_id }
+      : await resolveEmployeeLocation(req, locationId);
+    if (location.error) {
+      res.status(location.status).json({ error: location.error });
+      return;
+    }
+    if (employee.location_id && !location.locationId) {
+      res.status(400).json({ error: 'An employee with a location can only be moved to another location' });
+      return;
+    }
+    const contact = parseEmployeeContact(req.body, employee);
+    if (contact.error) {
+      res.status(400).json({ error: contact.error });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run(
+        'UPDATE employees SET name = ?, email = ?, chat_webhook_url = ?, notify_via = ?, reminders_enabled = ?, digest_enabled = ? WHERE id = ?',
+        [name.trim(), contact.email, contact.chat_webhook_url, contact.notify_via, contact.reminders_enabled, contact.digest_enabled, employee.id]
+      );
+      if (location.locationId !== employee.location_id) {
+        await assignEmployeeLocation(tx, employee.id, location.locationId, toISODate(new Date()));
+      }
+      await recordAudit(tx, req, { action: 'update', entity: 'employee', entityId: employee.id, before: employee, after: { id: employee.id, name: name.trim(), location_id: location.locationId, ...contact } });
+    });
     res.json({ success: true });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'Employee already exists' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.delete('/admin/employees/:id', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    // The entries are deleted one by one, as DELETE /admin/steps/:id does,
+    // rather than left to the foreign key, so that each one is audited and
+    // sent to the webhooks, and the weekly badges of the colleagues and the
+    // leaderboard are evaluated again.
+    const entries = await db.transaction(async tx => {
+      const rows = await tx.query(`SELECT ${STEP_AUDIT_COLUMNS} FROM steps WHERE employee_id = ? ORDER BY date`, [employee.id]);
+      for (const entry of rows) {
+        const data = await stepEventData(tx, entry);
+        await tx.run('DELETE FROM steps WHERE id = ?', [entry.id]);
+        await recordAudit(tx, req, { action: 'delete', entity: 'step', entityId: entry.id, before: entry });
+        await emitWebhookEvent(tx, 'steps.deleted', data);
+      }
+      await evaluateAchievements(tx, rows);
+      await tx.run('DELETE FROM employee_tokens WHERE employee_id = ?', [employee.id]);
+      await tx.run('DELETE FROM employees WHERE id = ?', [employee.id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'employee', entityId: employee.id, before: employee });
+      return rows;
+    });
+    if (entries.length > 0) afterStepsChanged();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Location history of an employee, oldest first. A new assignment may start
+// on any day up to today; the employee's entries from that day until the
+// next assignment move to the new location.
+async function employeeLocationHistory(conn, employeeId) {
+  return conn.query(
+    `SELECT el.id, el.location_id, l.name AS location_name, el.start_date
+     FROM employee_locations el
+     JOIN locations l ON l.id = el.location_id
+     WHERE el.employee_id = ?
+     ORDER BY el.start_date`,
+    [employeeId]
+  );
+}
+app.get('/admin/employees/:id/locations', requireAdmin, async (req, res) => {
+  try {
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    res.json(await employeeLocationHistory(db, employee.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/employees/:id/locations', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const { locationId, startDate } = req.body || {};
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    const start = toISODate(startDate);
+    if (!start) {
+      res.status(400).json({ error: 'Invalid start date' });
+      return;
+    }
+    if (start > toISODate(new Date())) {
+      res.status(400).json({ error: 'Start date cannot be in the future' });
+      return;
+    }
+    const location = await resolveEmployeeLocation(req, locationId);
+    if (location.error || !location.locationId) {
+      res.status(location.status || 400).json({ error: location.error || 'Location is required' });
+      return;
+    }
+    const assignment = await db.transaction(async tx => {
+      const created = await assignEmployeeLocation(tx, employee.id, location.locationId, start);
+      if (created) await recordAudit(tx, req, { action: 'create', entity: 'employee_location', entityId: created.id, after: created });
+      return created;
+    });
+    if (assignment) afterStepsChanged();
+    res.json({ success: true, changed: !!assignment });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.delete('/admin/employees/:id/locations/:assignmentId', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    const history = await employeeLocationHistory(db, employee.id);
+    const assignment = history.find(a => String(a.id) === String(req.params.assignmentId));
+    if (!assignment) {
+      res.status(404).json({ error: 'Assignment not found' });
+      return;
+    }
+    if (history.length === 1) {
+      res.status(409).json({ error: 'An employee must keep at least one location' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM employee_locations WHERE id = ?', [assignment.id]);
+      await applyLocationHistory(tx, employee.id, assignment.start_date);
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'employee_location',
+        entityId: assignment.id,
+        before: { id: assignment.id, employee_id: employee.id, location_id: assignment.location_id, start_date: assignment.start_date },
+      });
+    });
+    afterStepsChanged();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Issues a new personal registration link, replacing any earlier one. The
+// token is only returned here; the database keeps its hash. The link points
+// at PUBLIC_URL, never at the Host header of the request; without it, link
+// is null and the admin page builds it from its own address.
+app.post('/admin/employees/:id/link', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    const token = generateToken();
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM employee_tokens WHERE employee_id = ?', [employee.id]);
+      await tx.run('INSERT INTO employee_tokens (employee_id, token_hash, created_at) VALUES (?, ?, ?)', [employee.id, hashToken(token), new Date().toISOString()]);
+      await recordAudit(tx, req, { action: 'issue_link', entity: 'employee', entityId: employee.id });
+    });
+    res.json({ success: true, token, link: pageLink(`register.html?token=${token}`) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.delete('/admin/employees/:id/link', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const employee = await findManagedEmployee(req, req.params.id);
+    if (employee.error) {
+      res.status(employee.status).json({ error: employee.error });
+      return;
+    }
+    await db.transaction(async tx => {
+      const { changes } = await tx.run('DELETE FROM employee_tokens WHERE employee_id = ?', [employee.id]);
+      if (changes > 0) await recordAudit(tx, req, { action: 'revoke_link', entity: 'employee', entityId: employee.id });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: locations
+//
+// Locations with history are archived or merged into another location
+// rather than deleted, so that earlier entries keep counting. An archived
+// location cannot be given new employees; merging moves everything that
+// refers to it over to the target and archives it.
+const LOCATION_COLUMNS = 'id, name, archived_at, merged_into';
+async function getLocation(id, conn = db) {
+  const rows = await conn.query(`SELECT ${LOCATION_COLUMNS} FROM locations WHERE id = ?`, [id]);
+  return rows.length === 0 ? null : rows[0];
+}
+app.get('/admin/locations', requireAdmin, async (req, res) => {
+  try {
+    const rows = await db.query(`SELECT ${LOCATION_COLUMNS} FROM locations ORDER BY name`);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/locations', requireRole('super_admin'), async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name || !name.trim()) {
+      res.status(400).json({ error: 'Name is required' });
+      return;
+    }
+    await db.transaction(async tx => {
+      const id = await tx.insert('INSERT INTO locations (name) VALUES (?)', [name.trim()]);
+      await recordAudit(tx, req, { action: 'create', entity: 'location', entityId: id, after: { id, name: name.trim() } });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'Location already exists' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.put('/admin/locations/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name || !name.trim()) {
+      res.status(400).json({ error: 'Name is required' });
+      return;
+    }
+    const rows = await db.query('SELECT id, name FROM locations WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      res.status(404).json({ error: 'Location not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('UPDATE locations SET name = ? WHERE id = ?', [name.trim(), rows[0].id]);
+      await recordAudit(tx, req, { action: 'update', entity: 'location', entityId: rows[0].id, before: rows[0], after: { id: rows[0].id, name: name.trim() } });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'Location already exists' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.delete('/admin/locations/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const location = await getLocation(req.params.id);
+    if (!location) {
+      res.status(404).json({ error: 'Location not found' });
+      return;
+    }
+    const [{ count }] = await db.query(
+      `SELECT (SELECT COUNT(*) FROM steps WHERE location_id = ?)
+         + (SELECT COUNT(*) FROM employee_locations WHERE location_id = ?)
+         + (SELECT COUNT(*) FROM locations WHERE merged_into = ?) AS count`,
+      [location.id, location.id, location.id]
+    );
+    if (count > 0) {
+      res.status(409).json({ error: 'Location has history; archive or merge it instead' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM competition_locations WHERE location_id = ?', [location.id]);
+      await tx.run('DELETE FROM locations WHERE id = ?', [location.id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'location', entityId: location.id, before: location });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/locations/:id/archive', requireRole('super_admin'), async (req, res) => {
+  try {
+    const location = await getLocation(req.params.id);
+    if (!location) {
+      res.status(404).json({ error: 'Location not found' });
+      return;
+    }
+    if (location.archived_at) {
+      res.status(409).json({ error: 'Location is already archived' });
+      return;
+    }
+    const [{ count }] = await db.query('SELECT COUNT(*) AS count FROM employees WHERE location_id = ?', [location.id]);
+    if (count > 0) {
+      res.status(409).json({ error: 'Location still has employees; move them or merge the location instead' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('UPDATE locations SET archived_at = ? WHERE id = ?', [new Date().toISOString(), location.id]);
+      await recordAudit(tx, req, { action: 'archive', entity: 'location', entityId: location.id, before: location, after: await getLocation(location.id, tx) });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/locations/:id/restore', requireRole('super_admin'), async (req, res) => {
+  try {
+    const location = await getLocation(req.params.id);
+    if (!location) {
+      res.status(404).json({ error: 'Location not found' });
+      return;
+    }
+    if (!location.archived_at || location.merged_into) {
+      res.status(409).json({ error: location.merged_into ? 'A merged location cannot be restored' : 'Location is not archived' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('UPDATE locations SET archived_at = NULL WHERE id = ?', [location.id]);
+      await recordAudit(tx, req, { action: 'restore', entity: 'location', entityId: location.id, before: location, after: await getLocation(location.id, tx) });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Moves entries, location history, employees, competition enrolments and
+// admin scopes from the location to `targetId` and archives it.
+app.post('/admin/locations/:id/merge', requireRole('super_admin'), async (req, res) => {
+  try {
+    const { targetId } = req.body || {};
+    const location = await getLocation(req.params.id);
+    if (!location) {
+      res.status(404).json({ error: 'Location not found' });
+      return;
+    }
+    if (location.merged_into) {
+      res.status(409).json({ error: 'Location is already merged' });
+      return;
+    }
+    const target = await getLocation(targetId);
+    if (!target || target.id === location.id) {
+      res.status(400).json({ error: 'Choose another location to merge into' });
+      return;
+    }
+    if (target.archived_at) {
+      res.status(400).json({ error: 'Cannot merge into an archived location' });
+      return;
+    }
+    const moved = await db.transaction(async tx => {
+      const movedEntries = await tx.query('SELECT DISTINCT employee_id, date FROM steps WHERE location_id = ?', [location.id]);
+      const { changes: steps } = await tx.run('UPDATE steps SET location_id = ? WHERE location_id = ?', [target.id, location.id]);
+      // Weekly badges are ranked again within the merged location.
+      await tx.run('DELETE FROM employee_achievements WHERE location_id = ?', [location.id]);
+      await evaluateAchievements(tx, movedEntries.map(e => ({ ...e, location_id: target.id })));
+      await tx.run('UPDATE employee_locations SET location_id = ? WHERE location_id = ?', [target.id, location.id]);
+      const { changes: employees } = await tx.run('UPDATE employees SET location_id = ? WHERE location_id = ?', [target.id, location.id]);
+      for (const [table, key] of [['competition_locations', 'competition_id'], ['admin_user_locations', 'user_id']]) {
+        await tx.run(
+          `INSERT INTO ${table} (${key}, location_id)
+           SELECT ${key}, ? FROM ${table} WHERE location_id = ? AND ${key} NOT IN (SELECT ${key} FROM ${table} WHERE location_id = ?)`,
+          [target.id, location.id, target.id]
+        );
+        await tx.run(`DELETE FROM ${table} WHERE location_id = ?`, [location.id]);
+      }
+      await tx.run('UPDATE locations SET archived_at = ?, merged_into = ? WHERE id = ?', [location.archived_at || new Date().toISOString(), target.id, location.id]);
+      await recordAudit(tx, req, {
+        action: 'merge',
+        entity: 'location',
+        entityId: location.id,
+        before: location,
+        after: { ...(await getLocation(location.id, tx)), steps_moved: steps, employees_moved: employees },
+      });
+      return { steps, employees };
+    });
+    afterStepsChanged();
+    res.json({ success: true, ...moved });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: competitions
+app.get('/admin/competitions', requireAdmin, async (req, res) => {
+  try {
+    const rows = await db.query('SELECT id, name, start_date, end_date, status, max_steps, review_steps, backfill_days FROM competitions ORDER BY start_date DESC');
+    res.json(await loadCompetitionLocations(rows));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/competitions', requireRole('super_admin'), async (req, res) => {
+  try {
+    const values = {};
+    const error = validateCompetitionBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const id = await db.transaction(async tx => {
+      const competitionId = await tx.insert(
+        'INSERT INTO competitions (name, start_date, end_date, max_steps, review_steps, backfill_days) VALUES (?, ?, ?, ?, ?, ?)',
+        [values.name, values.startDate, values.endDate, values.maxSteps, values.reviewSteps, values.backfillDays]
+      );
+      await setCompetitionLocations(tx, competitionId, values.locationIds);
+      await recordAudit(tx, req, { action: 'create', entity: 'competition', entityId: competitionId, after: await getCompetition(competitionId, tx) });
+      return competitionId;
+    });
+    res.json({ success: true, id });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'Competition already exists' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.put('/admin/competitions/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const values = {};
+    const error = validateCompetitionBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const competition = await getCompetition(req.params.id);
+    if (!competition) {
+      res.status(404).json({ error: 'Competition not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run(
+        'UPDATE competitions SET name = ?, start_date = ?, end_date = ?, max_steps = ?, review_steps = ?, backfill_days = ? WHERE id = ?',
+        [values.name, values.startDate, values.endDate, values.maxSteps, values.reviewSteps, values.backfillDays, competition.id]
+      );
+      await setCompetitionLocations(tx, competition.id, values.locationIds);
+      await recordAudit(tx, req, { action: 'update', entity: 'competition', entityId: competition.id, before: competition, after: await getCompetition(competition.id, tx) });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'Competition already exists' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.post('/admin/competitions/:id/close', requireRole('super_admin'), async (req, res) => {
+  try {
+    const competition = await getCompetition(req.params.id);
+    if (!competition) {
+      res.status(404).json({ error: 'Competition not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run("UPDATE competitions SET status = 'closed' WHERE id = ?", [competition.id]);
+      await recordAudit(tx, req, { action: 'close', entity: 'competition', entityId: competition.id, before: competition, after: { ...competition, status: 'closed' } });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: teams
+//
+// Teams group employees across locations. An employee is in at most one
+// team, so adding them to a team moves them out of any other.
+async function getTeam(id, conn = db) {
+  const rows = await conn.query('SELECT id, name FROM teams WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  const members = await conn.query('SELECT employee_id FROM team_members WHERE team_id = ? ORDER BY employee_id', [id]);
+  rows[0].member_ids = members.map(m => m.employee_id);
+  return rows[0];
+}
+async function addTeamMember(tx, teamId, employeeId) {
+  await tx.run(
+    'INSERT INTO team_members (employee_id, team_id) VALUES (?, ?) ON CONFLICT (employee_id) DO UPDATE SET team_id = excluded.team_id',
+    [employeeId, teamId]
+  );
+}
+async function setTeamMembers(tx, teamId, memberIds) {
+  await tx.run('DELETE FROM team_members WHERE team_id = ?', [teamId]);
+  for (const employeeId of memberIds) {
+    await addTeamMember(tx, teamId, employeeId);
+  }
+}
+// Validates the body of POST/PUT /admin/teams. Returns an error message, or
+// null with the normalised values stored on `out`; memberIds stays
+// undefined when the body leaves the members unchanged.
+function validateTeamBody(body, out) {
+  const { name, memberIds } = body || {};
+  if (!name || !name.trim()) return 'Name is required';
+  if (memberIds !== undefined && !Array.isArray(memberIds)) return 'memberIds must be an array';
+  out.name = name.trim();
+  out.memberIds = memberIds === undefined ? undefined : memberIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  return null;
+}
+function teamError(res, err) {
+  if (/unique/i.test(err.message)) {
+    res.status(409).json({ error: 'Team already exists' });
+  } else if (/foreign key/i.test(err.message)) {
+    res.status(400).json({ error: 'Unknown employee' });
+  } else {
+    res.status(500).json({ error: err.message });
+  }
+}
+app.get('/admin/teams', requireAdmin, async (req, res) => {
+  try {
+    const teams = await db.query('SELECT id, name FROM teams ORDER BY name');
+    const members = await db.query(
+      `SELECT tm.team_id, e.id, e.name, l.name AS location_name
+       FROM team_members tm
+       JOIN employees e ON e.id = tm.employee_id
+       LEFT JOIN locations l ON l.id = e.location_id
+       ORDER BY e.name`
+    );
+    teams.forEach(team => {
+      team.members = members.filter(m => m.team_id === team.id).map(({ id, name, location_name }) => ({ id, name, location_name }));
+    });
+    res.json(teams);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/teams', requireRole('super_admin'), async (req, res) => {
+  try {
+    const values = {};
+    const error = validateTeamBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const id = await db.transaction(async tx => {
+      const teamId = await tx.insert('INSERT INTO teams (name) VALUES (?)', [values.name]);
+      await setTeamMembers(tx, teamId, values.memberIds || []);
+      await recordAudit(tx, req, { action: 'create', entity: 'team', entityId: teamId, after: await getTeam(teamId, tx) });
+      return teamId;
+    });
+    res.json({ success: true, id });
+  } catch (err) {
+    teamError(res, err);
+  }
+});
+app.put('/admin/teams/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const values = {};
+    const error = validateTeamBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const team = await getTeam(req.params.id);
+    if (!team) {
+      res.status(404).json({ error: 'Team not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('UPDATE teams SET name = ? WHERE id = ?', [values.name, team.id]);
+      if (values.memberIds) await setTeamMembers(tx, team.id, values.memberIds);
+      await recordAudit(tx, req, { action: 'update', entity: 'team', entityId: team.id, before: team, after: await getTeam(team.id, tx) });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    teamError(res, err);
+  }
+});
+app.delete('/admin/teams/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const team = await getTeam(req.params.id);
+    if (!team) {
+      res.status(404).json({ error: 'Team not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM team_members WHERE team_id = ?', [team.id]);
+      await tx.run('DELETE FROM teams WHERE id = ?', [team.id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'team', entityId: team.id, before: team });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    teamError(res, err);
+  }
+});
+app.post('/admin/teams/:id/members', requireRole('super_admin'), async (req, res) => {
+  try {
+    const { employeeId } = req.body || {};
+    const team = await getTeam(req.params.id);
+    if (!team) {
+      res.status(404).json({ error: 'Team not found' });
+      return;
+    }
+    const employees = await db.query('SELECT id FROM employees WHERE id = ?', [employeeId]);
+    if (employees.length === 0) {
+      res.status(400).json({ error: 'Unknown employee' });
+      return;
+    }
+    await db.transaction(async tx => {
+      const [previous = null] = await tx.query('SELECT team_id FROM team_members WHERE employee_id = ?', [employees[0].id]);
+      await addTeamMember(tx, team.id, employees[0].id);
+      await recordAudit(tx, req, {
+        action: 'add_member',
+        entity: 'team',
+        entityId: team.id,
+        before: previous && { employee_id: employees[0].id, team_id: previous.team_id },
+        after: { employee_id: employees[0].id, team_id: team.id },
+      });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    teamError(res, err);
+  }
+});
+app.delete('/admin/teams/:id/members/:employeeId', requireRole('super_admin'), async (req, res) => {
+  try {
+    const { changes } = await db.run('DELETE FROM team_members WHERE team_id = ? AND employee_id = ?', [req.params.id, req.params.employeeId]);
+    if (changes === 0) {
+      res.status(404).json({ error: 'Employee is not a member of this team' });
+      return;
+    }
+    await recordAudit(db, req, {
+      action: 'remove_member',
+      entity: 'team',
+      entityId: req.params.id,
+      before: { employee_id: parseInt(req.params.employeeId, 10), team_id: parseInt(req.params.id, 10) },
+    });
+    res.json({ success: true });
+  } catch (err) {
+    teamError(res, err);
+  }
+});
+
+/*
+ * Activities. Employees who cycle, swim and so on register minutes or km
+ * of an activity, converted to steps at its steps_per_unit. Changing a rate
+ * only affects entries registered afterwards; an activity with entries
+ * cannot be deleted, only deactivated so that it is no longer offered.
+ */
+const ACTIVITY_UNITS = ['minutes', 'km'];
+const ACTIVITY_COLUMNS = 'id, name, unit, steps_per_unit, active';
+async function getActivity(id, conn = db) {
+  const [row] = await conn.query(`SELECT ${ACTIVITY_COLUMNS} FROM activities WHERE id = ?`, [id]);
+  return row || null;
+}
+// Validates the body of POST/PUT /admin/activities. Returns an error
+// message, or null with the normalised values stored on `out`; active
+// stays undefined when the body leaves it unchanged.
+function validateActivityBody(body, out) {
+  const { name, unit, stepsPerUnit, active } = body || {};
+  if (!name || !name.trim()) return 'Name is required';
+  if (!ACTIVITY_UNITS.includes(unit)) return `unit must be one of ${ACTIVITY_UNITS.join(', ')}`;
+  const rate = Number(stepsPerUnit);
+  if (stepsPerUnit === undefined || stepsPerUnit === null || stepsPerUnit === '' || !isFinite(rate) || rate <= 0) {
+    return 'stepsPerUnit must be a positive number';
+  }
+  out.name = name.trim();
+  out.unit = unit;
+  out.stepsPerUnit = rate;
+  out.active = active === undefined ? undefined : active ? 1 : 0;
+  return null;
+}
+function activityError(res, err) {
+  if (/unique/i.test(err.message)) {
+    res.status(409).json({ error: 'Activity already exists' });
+  } else {
+    res.status(500).json({ error: err.message });
+  }
+}
+// The active activities, for the register page.
+app.get('/api/activities', requireEmployee, async (req, res) => {
+  try {
+    const rows = await db.query('SELECT id, name, unit, steps_per_unit FROM activities WHERE active = 1 ORDER BY name');
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.get('/admin/activities', requireAdmin, async (req, res) => {
+  try {
+    const rows = await db.query(
+      `SELECT a.id, a.name, a.unit, a.steps_per_unit, a.active, COUNT(s.id) AS entries
+       FROM activities a
+       LEFT JOIN steps s ON s.activity_id = a.id
+       GROUP BY a.id, a.name, a.unit, a.steps_per_unit, a.active
+       ORDER BY a.name`
+    );
+    res.json(rows.map(row => ({ ...row, entries: Number(row.entries) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.post('/admin/activities', requireRole('super_admin'), async (req, res) => {
+  try {
+    const values = {};
+    const error = validateActivityBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const id = await db.transaction(async tx => {
+      const activityId = await tx.insert(
+        'INSERT INTO activities (name, unit, steps_per_unit, active) VALUES (?, ?, ?, ?)',
+        [values.name, values.unit, values.stepsPerUnit, values.active === undefined ? 1 : values.active]
+      );
+      await recordAudit(tx, req, { action: 'create', entity: 'activity', entityId: activityId, after: await getActivity(activityId, tx) });
+      return activityId;
+    });
+    res.json({ success: true, id });
+  } catch (err) {
+    activityError(res, err);
+  }
+});
+app.put('/admin/activities/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const values = {};
+    const error = validateActivityBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const activity = await getActivity(req.params.id);
+    if (!activity) {
+      res.status(404).json({ error: 'Activity not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run(
+        'UPDATE activities SET name = ?, unit = ?, steps_per_unit = ?, active = ? WHERE id = ?',
+        [values.name, values.unit, values.stepsPerUnit, values.active === undefined ? activity.active : values.active, activity.id]
+      );
+      await recordAudit(tx, req, { action: 'update', entity: 'activity', entityId: activity.id, before: activity, after: await getActivity(activity.id, tx) });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    activityError(res, err);
+  }
+});
+app.delete('/admin/activities/:id', requireRole('super_admin'), async (req, res) => {
+  try {
+    const activity = await getActivity(req.params.id);
+    if (!activity) {
+      res.status(404).json({ error: 'Activity not found' });
+      return;
+    }
+    const [{ count }] = await db.query('SELECT COUNT(*) AS count FROM steps WHERE activity_id = ?', [activity.id]);
+    if (count > 0) {
+      res.status(409).json({ error: 'Activity has entries; deactivate it instead' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM activities WHERE id = ?', [activity.id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'activity', entityId: activity.id, before: activity });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: steps management
+// Lists step entries a page at a time. Besides the filters of
+// buildStepsFilter it takes sort (date, employee, location or steps), order
+// (asc or desc), page (from 1) and pageSize (at most 500). The response
+// carries the total number of matching rows and the per-location summary
+// from buildStatistics for the competition, dates and location filtered
+// on; the employee and steps filters narrow the rows but not the summary,
+// which reports the same figures as /api/stats. Rows show how many of the
+// steps came from other activities.
+const STEP_SORT_COLUMNS = { date: 's.date', employee: 'e.name', location: 'l.name', steps: 's.steps' };
+// The locations an admin's statistics cover: their scope, narrowed to
+// ?locationId= when given.
+function statisticsScope(req) {
+  const scope = adminLocationScope(req.adminUser);
+  if (!req.query.locationId) return scope;
+  const locationId = Number(req.query.locationId);
+  return scope === null || scope.includes(locationId) ? [locationId] : [];
+}
+app.get('/admin/steps', requireAdmin, async (req, res) => {
+  try {
+    const filter = await buildStepsFilter(req.query, adminLocationScope(req.adminUser));
+    if (filter.error) {
+      res.status(filter.status).json({ error: filter.error });
+      return;
+    }
+    const sort = req.query.sort || 'date';
+    const order = (req.query.order || 'desc').toLowerCase();
+    if (!STEP_SORT_COLUMNS[sort] || !['asc', 'desc'].includes(order)) {
+      res.status(400).json({ error: 'Invalid sort' });
+      return;
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(500, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+    const from = `FROM steps s
+       JOIN employees e ON e.id = s.employee_id
+       JOIN locations l ON l.id = s.location_id
+       LEFT JOIN activities a ON a.id = s.activity_id
+       WHERE ${filter.clause}`;
+    const rows = await db.query(
+      `SELECT s.id, s.date, s.steps, s.status, s.review_reason, e.id AS employee_id, e.name AS employee_name, l.id AS location_id, l.name AS location_name,
+         s.activity_amount, s.activity_steps, a.name AS activity_name, a.unit AS activity_unit
+       ${from}
+       ORDER BY ${STEP_SORT_COLUMNS[sort]} ${order.toUpperCase()}, s.id ${order.toUpperCase()}
+       LIMIT ? OFFSET ?`,
+      [...filter.params, pageSize, (page - 1) * pageSize]
+    );
+    const [{ count }] = await db.query(`SELECT COUNT(*) AS count ${from}`, filter.params);
+    const stats = await buildStatistics({
+      competition: filter.competition,
+      from: req.query.from,
+      to: req.query.to,
+      locationIds: statisticsScope(req),
+    });
+    if (stats.error) {
+      res.status(stats.status).json({ error: stats.error });
+      return;
+    }
+    const summary = stats.groups.map(group => ({ location_id: group.id, location: group.name, ...group.summary }));
+    res.json({ rows, total: count, page, pageSize, pages: Math.ceil(count / pageSize), sort, order, summary });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Loads a step entry the current admin may change. Returns the entry or
+// { status, error }.
+async function findManagedStep(req, id) {
+  const rows = await db.query(`SELECT ${STEP_AUDIT_COLUMNS} FROM steps WHERE id = ?`, [id]);
+  if (rows.length === 0) return { status: 404, error: 'Entry not found' };
+  if (!canManageLocation(req.adminUser, rows[0].location_id)) {
+    return { status: 403, error: 'Entry belongs to another location' };
+  }
+  return rows[0];
+}
+// The location of an entry follows the employee's location history, so it
+// is derived again when the date or employee changes. A corrected entry must
+// satisfy the same rules as a new one, except that it may lie outside the
+// open competitions, and cannot take the place of an entry already there.
+app.put('/admin/steps/:id', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const { steps, date, locationId, employeeId } = req.body || {};
+    const entry = await findManagedStep(req, req.params.id);
+    if (entry.error) {
+      res.status(entry.status).json({ error: entry.error });
+      return;
+    }
+    if (locationId !== undefined) {
+      res.status(400).json({ error: "An entry's location follows the employee's location history" });
+      return;
+    }
+    let employeeTo = entry.employee_id;
+    if (employeeId) {
+      const [employee] = await db.query('SELECT id FROM employees WHERE id = ?', [employeeId]);
+      if (!employee) {
+        res.status(404).json({ error: 'Employee not found' });
+        return;
+      }
+      employeeTo = employee.id;
+    }
+    const dateISO = toISODate(date || entry.date);
+    if (!dateISO) {
+      res.status(400).json({ error: 'Invalid date' });
+      return;
+    }
+    let location = entry.location_id;
+    if (date || employeeId) {
+      location = await employeeLocationOn(db, employeeTo, dateISO);
+      if (!location) {
+        res.status(400).json({ error: 'Employee is not assigned to a location' });
+        return;
+      }
+      if (!canManageLocation(req.adminUser, location)) {
+        res.status(403).json({ error: 'Location not permitted' });
+        return;
+      }
+    }
+    const validated = await validateStepEntry(
+      { locationId: location, date: dateISO, steps: steps === undefined ? entry.steps : steps },
+      { correction: true }
+    );
+    if (validated.error) {
+      res.status(400).json({ error: validated.error });
+      return;
+    }
+    const fields = [];
+    const params = [];
+    if (steps !== undefined) {
+      fields.push('steps = ?');
+      params.push(validated.stepCount);
+    }
+    if (date || employeeId) {
+      const [taken] = await db.query('SELECT id FROM steps WHERE employee_id = ? AND date = ? AND id <> ?', [employeeTo, validated.dateISO, entry.id]);
+      if (taken) {
+        res.status(409).json({ error: 'The employee already has an entry for that date' });
+        return;
+      }
+      fields.push('employee_id = ?', 'date = ?', 'location_id = ?');
+      params.push(employeeTo, validated.dateISO, location);
+    }
+    if (fields.length === 0) {
+      res.status(400).json({ error: 'No fields to update' });
+      return;
+    }
+    // A correction by an admin counts as a review of the entry.
+    fields.push("status = 'approved'", 'reviewed_by = ?', 'reviewed_at = ?');
+    params.push(req.adminUser.id, new Date().toISOString());
+    params.push(entry.id);
+    await db.transaction(async tx => {
+      await tx.run(`UPDATE steps SET ${fields.join(', ')} WHERE id = ?`, params);
+      const [after] = await tx.query(`SELECT ${STEP_AUDIT_COLUMNS} FROM steps WHERE id = ?`, [entry.id]);
+      await recordAudit(tx, req, { action: 'update', entity: 'step', entityId: entry.id, before: entry, after });
+      await evaluateAchievements(tx, [entry, after]);
+      await emitWebhookEvent(tx, 'steps.updated', await stepEventData(tx, after, entry));
+    });
+    afterStepsChanged();
+    res.json({ success: true });
+  } catch (err) {
+    if (/unique/i.test(err.message)) {
+      res.status(409).json({ error: 'The employee already has an entry for that date' });
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+app.delete('/admin/steps/:id', requireRole(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const entry = await findManagedStep(req, req.params.id);
+    if (entry.error) {
+      res.status(entry.status).json({ error: entry.error });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM steps WHERE id = ?', [entry.id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'step', entityId: entry.id, before: entry });
+      await evaluateAchievements(tx, [entry]);
+      await emitWebhookEvent(tx, 'steps.deleted', await stepEventData(tx, entry));
+    });
+    afterStepsChanged();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: review queue
+//
+// Lists held entries (or ?status=rejected|approved) with the reason they
+// were held and the employee's usual step count, oldest first.
+app.get('/admin/review', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!STEP_STATUSES.includes(status)) {
+      res.status(400).json({ error: 'Status must be pending, approved or rejected' });
+      return;
+    }
+    const scoped = locationScopeFilter(adminLocationScope(req.adminUser), 's.location_id');
+    const rows = await db.query(
+      `SELECT s.id, s.date, s.steps, s.status, s.review_reason, s.reviewed_at, a.email AS reviewed_by,
+         e.id AS employee_id, e.name AS employee_name, l.id AS location_id, l.name AS location_name
+       FROM steps s
+       JOIN employees e ON e.id = s.employee_id
+       JOIN locations l ON l.id = s.location_id
+       LEFT JOIN admin_users a ON a.id = s.reviewed_by
+       WHERE s.status = ? AND ${scoped.clause}
+       ORDER BY s.date ASC, s.id ASC
+       LIMIT 500`,
+      [status, ...scoped.params]
+    );
+    for (const row of rows) {
+      const history = await db.query(
+        `SELECT steps FROM steps WHERE employee_id = ? AND id <> ? AND status = 'approved' ORDER BY date DESC LIMIT ${HISTORY_SAMPLE_SIZE}`,
+        [row.employee_id, row.id]
+      );
+      const usual = median(history.map(h => h.steps));
+      row.employee_median = usual === null ? null : Math.round(usual);
+    }
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+async function reviewStep(req, res, status) {
+  try {
+    const entry = await findManagedStep(req, req.params.id);
+    if (entry.error) {
+      res.status(entry.status).json({ error: entry.error });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('UPDATE steps SET status = ?, reviewed_by = ?, reviewed_at = ? WHERE id = ?', [status, req.adminUser.id, new Date().toISOString(), entry.id]);
+      await recordAudit(tx, req, { action: status === 'approved' ? 'approve' : 'reject', entity: 'step', entityId: entry.id, before: entry, after: { ...entry, status } });
+      await evaluateAchievements(tx, [entry]);
+      await emitWebhookEvent(tx, 'steps.updated', await stepEventData(tx, { ...entry, status }, entry));
+    });
+    afterStepsChanged();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+app.post('/admin/review/:id/approve', requireRole(...MANAGER_ROLES), (req, res) => reviewStep(req, res, 'approved'));
+app.post('/admin/review/:id/reject', requireRole(...MANAGER_ROLES), (req, res) => reviewStep(req, res, 'rejected'));
+
+// Admin: exports
+//
+// Every export takes ?format=csv|xlsx|json (CSV by default) and the same
+// filters as GET /admin/steps.
+function exportFormat(req, res) {
+  const format = req.query.format || 'csv';
+  if (!isExportFormat(format)) {
+    res.status(400).json({ error: 'Format must be csv, xlsx or json' });
+    return null;
+  }
+  return format;
+}
+app.get('/admin/export/steps', requireAdmin, async (req, res) => {
+  try {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const filter = await buildStepsFilter(req.query, adminLocationScope(req.adminUser));
+    if (filter.error) {
+      res.status(filter.status).json({ error: filter.error });
+      return;
+    }
+    const rows = await db.query(
+      `SELECT s.id, s.date, e.name AS employee, l.name AS location, s.steps, s.status,
+         a.name AS activity, s.activity_amount, a.unit AS activity_unit, s.activity_steps
+       FROM steps s
+       JOIN employees e ON e.id = s.employee_id
+       JOIN locations l ON l.id = s.location_id
+       LEFT JOIN activities a ON a.id = s.activity_id
+       WHERE ${filter.clause}
+       ORDER BY s.date ASC, e.name ASC`,
+      filter.params
+    );
+    await sendExport(res, format, `steps-${toISODate(new Date())}`, [{
+      name: 'Registreringer',
+      columns: [
+        { key: 'date', header: 'Dato' },
+        { key: 'employee', header: 'Ansatt' },
+        { key: 'location', header: 'Lokasjon' },
+        { key: 'steps', header: 'Skritt' },
+        { key: 'activity', header: 'Aktivitet' },
+        { key: 'activity_amount', header: 'Mengde' },
+        { key: 'activity_unit', header: 'Enhet' },
+        { key: 'activity_steps', header: 'Skritt fra aktivitet' },
+        { key: 'status', header: 'Status' },
+      ],
+      rows,
+    }]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Statistics per location (default), per team with ?groupBy=team or per
+// employee with ?groupBy=employee over the competition and dates filtered
+// on, with the figures of the admin page summary and /api/stats.
+const SUMMARY_GROUP_HEADERS = { location: 'Lokasjon', team: 'Team', employee: 'Ansatt' };
+app.get('/admin/export/summary', requireAdmin, async (req, res) => {
+  try {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const groupBy = req.query.groupBy || 'location';
+    if (!SUMMARY_GROUP_HEADERS[groupBy]) {
+      res.status(400).json({ error: 'groupBy must be location, team or employee' });
+      return;
+    }
+    const competition = await resolveCompetition(req);
+    if (competition === undefined) {
+      res.status(404).json({ error: 'Competition not found' });
+      return;
+    }
+    const stats = await buildStatistics({ competition, from: req.query.from, to: req.query.to, groupBy, locationIds: statisticsScope(req) });
+    if (stats.error) {
+      res.status(stats.status).json({ error: stats.error });
+      return;
+    }
+    const rows = stats.groups.map(group => ({
+      name: group.name,
+      ...group.summary,
+      participation: group.summary.participation === null ? null : Math.round(group.summary.participation * 1000) / 10,
+    }));
+    await sendExport(res, format, `summary-${toISODate(new Date())}`, [{
+      name: 'Sammendrag',
+      columns: [
+        { key: 'name', header: SUMMARY_GROUP_HEADERS[groupBy] },
+        { key: 'total', header: 'Totalt' },
+        { key: 'enrolled', header: 'Påmeldte' },
+        { key: 'participants', header: 'Deltakere' },
+        { key: 'average', header: 'Snitt per påmeldt per dag' },
+        { key: 'median', header: 'Median per registrering' },
+        { key: 'participation', header: 'Deltakelse (%)' },
+        { key: 'rolling_average', header: 'Snitt siste 7 dager' },
+        { key: 'entries', header: 'Registreringer' },
+        { key: 'activity_steps', header: 'Skritt fra aktiviteter' },
+      ],
+      rows,
+    }]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Takes the parameters of GET /api/leaderboard. XLSX and JSON hold both
+// rankings; CSV holds the one chosen with ?ranking=employees|locations|teams.
+app.get('/admin/export/leaderboard', requireAdmin, async (req, res) => {
+  try {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const leaderboard = await buildLeaderboard(req);
+    if (leaderboard.error) {
+      res.status(leaderboard.status).json({ error: leaderboard.error });
+      return;
+    }
+    const employees = {
+      name: 'Ansatte',
+      key: 'employees',
+      columns: [
+        { key: 'rank', header: 'Plass' },
+        { key: 'name', header: 'Ansatt' },
+        { key: 'location', header: 'Lokasjon' },
+        { key: 'total', header: 'Skritt' },
+        { key: 'days', header: 'Dager' },
+        { key: 'rank_change', header: 'Endring' },
+      ],
+      rows: leaderboard.employees,
+    };
+    const locations = {
+      name: 'Lokasjoner',
+      key: 'locations',
+      columns: [
+        { key: 'rank', header: 'Plass' },
+        { key: 'name', header: 'Lokasjon' },
+        { key: 'total', header: 'Skritt' },
+        { key: 'participants', header: 'Deltakere' },
+        { key: 'average', header: 'Snitt' },
+        { key: 'rank_change', header: 'Endring' },
+      ],
+      rows: leaderboard.locations,
+    };
+    const teams = {
+      name: 'Team',
+      key: 'teams',
+      columns: [
+        { key: 'rank', header: 'Plass' },
+        { key: 'name', header: 'Team' },
+        { key: 'average', header: 'Snitt per medlem' },
+        { key: 'total', header: 'Skritt' },
+        { key: 'members', header: 'Medlemmer' },
+        { key: 'participants', header: 'Deltakere' },
+        { key: 'rank_change', header: 'Endring' },
+      ],
+      rows: leaderboard.teams,
+    };
+    const sheets = [employees, locations, teams];
+    const first = sheets.findIndex(sheet => sheet.key === req.query.ranking);
+    if (first > 0) sheets.unshift(...sheets.splice(first, 1));
+    await sendExport(res, format, `leaderboard-${leaderboard.from}-${leaderboard.to}`, sheets);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: bulk import
+//
+// Both routes take a multipart upload with a CSV or XLSX `file`, an optional
+// JSON `mapping` of field to column header and a `commit` flag. Without
+// `commit` they only return the per-row preview. With it the rows are
+// written in one transaction, and nothing is written if any row is invalid.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+function parseImportOptions(req) {
+  let mapping = {};
+  if (req.body && req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (err) {
+      return { error: 'Mapping must be valid JSON' };
+    }
+  }
+  return { mapping, commit: req.body && req.body.commit === 'true' };
+}
+function importSummary(rows) {
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+  return { total: rows.length, valid: rows.length - invalid, invalid };
+}
+
+app.post('/admin/import/steps', requireRole(...MANAGER_ROLES), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      res.status(400).json({ error: 'File is required' });
+      return;
+    }
+    const options = parseImportOptions(req);
+    if (options.error) {
+      res.status(400).json({ error: options.error });
+      return;
+    }
+    const sheet = await readSpreadsheet(req.file);
+    const mapped = mapStepRows(sheet, options.mapping);
+    if (mapped.error) {
+      res.status(400).json({ error: mapped.error, headers: sheet.headers, format: mapped.format, mapping: mapped.mapping });
+      return;
+    }
+    const employees = await db.query('SELECT id, name FROM employees');
+    const locations = await db.query('SELECT id, name, merged_into FROM locations');
+    const employeeByName = new Map(employees.map(e => [e.name.toLowerCase(), e]));
+    const locationByName = new Map(locations.map(l => [l.name.toLowerCase(), l]));
+    const defaultEmployee = employees.find(e => String(e.id) === String(req.body.employeeId));
+    const seen = new Set();
+    const rows = [];
+    const competitions = [];
+    for (const raw of mapped.rows) {
+      const errors = [];
+      const employee = raw.employee ? employeeByName.get(raw.employee.toLowerCase()) : defaultEmployee;
+      if (!employee) errors.push(raw.employee ? `Unknown employee "${raw.employee}"` : 'Employee is required');
+      // The location comes from the employee's location history; a location
+      // column in the file is only checked against it.
+      const listed = raw.location ? locationByName.get(raw.location.toLowerCase()) : null;
+      if (raw.location && !listed) errors.push(`Unknown location "${raw.location}"`);
+      let location = null;
+      if (employee && raw.date) {
+        const locationId = await employeeLocationOn(db, employee.id, raw.date);
+        location = locations.find(l => l.id === locationId) || null;
+        if (!location) {
+          errors.push(`Employee "${employee.name}" is not assigned to a location`);
+        } else if (listed && (listed.merged_into || listed.id) !== location.id) {
+          errors.push(`Employee belonged to "${location.name}" on this date, not "${listed.name}"`);
+        } else if (!canManageLocation(req.adminUser, location.id)) {
+          errors.push(`Location "${location.name}" not permitted`);
+        }
+      }
+      let entry = {};
+      if (!raw.date) {
+        errors.push('Invalid date');
+      } else {
+        entry = await validateStepEntry({ locationId: location ? location.id : null, date: raw.date, steps: raw.steps });
+        if (entry.error) errors.push(entry.error);
+      }
+      if (employee && raw.date) {
+        const key = `${employee.id}:${raw.date}`;
+        if (seen.has(key)) errors.push('Duplicate entry for this employee and date');
+        seen.add(key);
+      }
+      let review = { status: null, reviewReason: null };
+      if (errors.length === 0) {
+        review = await reviewStepEntry(db, { employeeId: employee.id, locationId: location.id, ...entry });
+      }
+      competitions.push(entry.competition || null);
+      rows.push({
+        line: raw.line,
+        employee_id: employee ? employee.id : null,
+        employee_name: employee ? employee.name : raw.employee,
+        location_id: location ? location.id : null,
+        location_name: location ? location.name : raw.location,
+        date: raw.date,
+        steps: entry.error || entry.stepCount === undefined ? raw.steps : entry.stepCount,
+        status: review.status,
+        review_reason: review.reviewReason,
+        errors,
+      });
+    }
+    const summary = importSummary(rows);
+    const report = { format: mapped.format, mapping: mapped.mapping, headers: sheet.headers, ...summary, rows };
+    report.pending = rows.filter(row => row.status === 'pending').length;
+    if (!options.commit) {
+      res.json({ committed: false, ...report });
+      return;
+    }
+    if (summary.invalid > 0 || summary.total === 0) {
+      res.status(422).json({ error: summary.total === 0 ? 'File contains no rows' : 'Import contains invalid rows', committed: false, ...report });
+      return;
+    }
+    // Rows are reviewed again as they are written, so that earlier rows of
+    // the same file count as history for the later ones.
+    await db.transaction(async tx => {
+      for (const [i, row] of rows.entries()) {
+        const review = await reviewStepEntry(tx, {
+          employeeId: row.employee_id,
+          locationId: row.location_id,
+          dateISO: row.date,
+          stepCount: row.steps,
+          competition: competitions[i],
+        });
+        row.status = review.status;
+        row.review_reason = review.reviewReason;
+        await saveStepEntry(tx, req, { employeeId: row.employee_id, locationId: row.location_id, date: row.date, steps: row.steps, ...review }, 'import');
+      }
+      await evaluateAchievements(tx, rows);
+    });
+    afterStepsChanged();
+    report.pending = rows.filter(row => row.status === 'pending').length;
+    res.json({ committed: true, ...report });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.get('/admin/check', async (req, res) => {
+app.post('/admin/import/employees', requireRole(...MANAGER_ROLES), upload.single('file'), async (req, res) => {
   try {
-    const cookies = parseCookies(req);
-    const token = cookies['admin_token'];
-    if (!token) {
-      res.json({ loggedIn: false });
+    if (!req.file) {
+      res.status(400).json({ error: 'File is required' });
       return;
     }
-    const rows = await dbQuery('SELECT expires_at FROM admin_sessions WHERE token = ?', [token]);
-    if (rows.length === 0) {
-      res.json({ loggedIn: false });
+    const options = parseImportOptions(req);
+    if (options.error) {
+      res.status(400).json({ error: options.error });
       return;
     }
-    const expiresAt = new Date(rows[0].expires_at);
-    if (expiresAt < new Date()) {
-      res.json({ loggedIn: false });
+    const sheet = await readSpreadsheet(req.file);
+    const mapped = mapEmployeeRows(sheet, options.mapping);
+    if (mapped.error) {
+      res.status(400).json({ error: mapped.error, headers: sheet.headers, mapping: mapped.mapping });
+      return;
+    }
+    const existing = new Set((await db.query('SELECT name FROM employees')).map(e => e.name.toLowerCase()));
+    const locations = await db.query('SELECT id, name FROM locations WHERE archived_at IS NULL');
+    const locationByName = new Map(locations.map(l => [l.name.toLowerCase(), l]));
+    const defaultLocation = locations.find(l => String(l.id) === String(req.body.locationId));
+    const scoped = adminLocationScope(req.adminUser) !== null;
+    const seen = new Set();
+    // Employees that already exist are reported and skipped rather than
+    // rejected, so the same roster can be uploaded again after changes.
+    const rows = mapped.rows.map(raw => {
+      const errors = [];
+      const key = raw.name.toLowerCase();
+      const location = raw.location ? locationByName.get(raw.location.toLowerCase()) : defaultLocation;
+      let status = 'new';
+      if (!raw.name) errors.push('Name is required');
+      else if (seen.has(key)) errors.push('Duplicate name in file');
+      else if (existing.has(key)) status = 'exists';
+      if (status === 'new') {
+        if (raw.location && !location) errors.push(`Unknown location "${raw.location}"`);
+        else if (!location && scoped) errors.push('Location is required');
+        else if (location && !canManageLocation(req.adminUser, location.id)) errors.push(`Location "${location.name}" not permitted`);
+      }
+      seen.add(key);
+      return {
+        line: raw.line,
+        name: raw.name,
+        location_id: location ? location.id : null,
+        location_name: location ? location.name : raw.location,
+        status,
+        errors,
+      };
+    });
+    const summary = importSummary(rows);
+    const report = { mapping: mapped.mapping, headers: sheet.headers, ...summary, rows };
+    if (!options.commit) {
+      res.json({ committed: false, ...report });
+      return;
+    }
+    if (summary.invalid > 0) {
+      res.status(422).json({ error: 'Import contains invalid rows', committed: false, ...report });
       return;
     }
-    res.json({ loggedIn: true });
+    await db.transaction(async tx => {
+      for (const row of rows.filter(r => r.status === 'new')) {
+        const id = await tx.insert('INSERT INTO employees (name, location_id) VALUES (?, ?)', [row.name, row.location_id]);
+        if (row.location_id) await assignEmployeeLocation(tx, id, row.location_id, toISODate(new Date()));
+        await recordAudit(tx, req, { action: 'import', entity: 'employee', entityId: id, after: { id, name: row.name, location_id: row.location_id } });
+        await emitWebhookEvent(tx, 'employee.created', { id, name: row.name, location_id: row.location_id, location_name: row.location_name || null });
+      }
+    });
+    res.json({ committed: true, ...report });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Admin: employees
-app.get('/admin/employees', requireAdmin, async (req, res) => {
+// Admin: users
+//
+// Only super admins manage admin users. The last super admin cannot be
+// deleted or given another role, and nobody can delete their own account.
+// A password chosen here for someone else must be changed by them at their
+// next login.
+function validateAdminAccess(role, locationIds, out) {
+  if (!ADMIN_ROLES.includes(role)) return `Role must be one of ${ADMIN_ROLES.join(', ')}`;
+  if (locationIds !== undefined && !Array.isArray(locationIds)) return 'locationIds must be an array';
+  const ids = (locationIds || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  if (role === 'location_admin' && ids.length === 0) return 'A location admin needs at least one location';
+  out.role = role;
+  out.locationIds = role === 'super_admin' ? [] : ids;
+  return null;
+}
+async function setAdminLocations(tx, userId, locationIds) {
+  await tx.run('DELETE FROM admin_user_locations WHERE user_id = ?', [userId]);
+  for (const locationId of locationIds) {
+    await tx.run('INSERT INTO admin_user_locations (user_id, location_id) VALUES (?, ?)', [userId, locationId]);
+  }
+}
+// The audited view of an admin user; password hashes are never logged.
+async function adminUserSnapshot(conn, id) {
+  const [user = null] = await conn.query('SELECT id, email, role, totp_enabled, totp_required FROM admin_users WHERE id = ?', [id]);
+  if (user) {
+    const links = await conn.query('SELECT location_id FROM admin_user_locations WHERE user_id = ? ORDER BY location_id', [id]);
+    user.location_ids = links.map(l => l.location_id);
+  }
+  return user;
+}
+async function isLastSuperAdmin(user) {
+  if (user.role !== 'super_admin') return false;
+  const rows = await db.query("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'super_admin'");
+  return rows[0].count <= 1;
+}
+app.get('/admin/users', requireRole('super_admin'), async (req, res) => {
   try {
-    const rows = await dbQuery('SELECT id, name FROM employees ORDER BY name');
-    res.json(rows);
+    const rows = await db.query('SELECT id, email, role, totp_enabled, totp_required FROM admin_users ORDER BY email');
+    const links = await db.query('SELECT user_id, location_id FROM admin_user_locations');
+    res.json(rows.map(({ totp_enabled: enabled, totp_required: required, ...user }) => ({
+      ...user,
+      location_ids: links.filter(l => l.user_id === user.id).map(l => l.location_id),
+      two_factor_enabled: !!enabled,
+      two_factor_required: !!required,
+    })));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.post('/admin/employees', requireAdmin, async (req, res) => {
+app.post('/admin/users', requireRole('super_admin'), async (req, res) => {
   try {
-    const { name } = req.body || {};
-    if (!name || !name.trim()) {
-      res.status(400).json({ error: 'Name is required' });
+    const { email, password, role, locationIds, twoFactorRequired } = req.body || {};
+    if (!email || !password) {
+      res.status(400).json({ error: 'Email and password required' });
       return;
     }
-    await dbRun('INSERT INTO employees (name) VALUES (?)', [name.trim()]);
-    res.json({ success: true });
+    const access = {};
+    const error = validatePassword(password, email) || validateAdminAccess(role || 'viewer', locationIds, access);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const hash = await createPasswordHash(password);
+    const id = await db.transaction(async tx => {
+      const userId = await tx.insert(
+        'INSERT INTO admin_users (email, password_hash, salt, password_iterations, must_change_password, role, totp_required) VALUES (?, ?, ?, ?, 1, ?, ?)',
+        [email, hash.password_hash, hash.salt, hash.password_iterations, access.role, twoFactorRequired ? 1 : 0]
+      );
+      await setAdminLocations(tx, userId, access.locationIds);
+      await recordAudit(tx, req, { action: 'create', entity: 'admin_user', entityId: userId, after: await adminUserSnapshot(tx, userId) });
+      return userId;
+    });
+    res.json({ success: true, id });
   } catch (err) {
     if (/unique/i.test(err.message)) {
-      res.status(409).json({ error: 'Employee already exists' });
+      res.status(409).json({ error: 'Admin already exists' });
+    } else if (/foreign key/i.test(err.message)) {
+      res.status(400).json({ error: 'Unknown location' });
     } else {
       res.status(500).json({ error: err.message });
     }
   }
 });
-app.put('/admin/employees/:id', requireAdmin, async (req, res) => {
+app.put('/admin/users/:id', requireRole('super_admin'), async (req, res) => {
   try {
-    const { name } = req.body || {};
-    if (!name || !name.trim()) {
-      res.status(400).json({ error: 'Name is required' });
+    const { email, password, role, locationIds, twoFactorRequired } = req.body || {};
+    const users = await db.query('SELECT id, email, role FROM admin_users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      res.status(404).json({ error: 'Admin not found' });
+      return;
+    }
+    const user = users[0];
+    const fields = [];
+    const params = [];
+    if (email) {
+      fields.push('email = ?');
+      params.push(email);
+    }
+    let hash = null;
+    if (password) {
+      const error = validatePassword(password, email || user.email);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      hash = await createPasswordHash(password);
+    }
+    let access = null;
+    if (role !== undefined || locationIds !== undefined) {
+      access = {};
+      const error = validateAdminAccess(role || user.role, locationIds, access);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      if (access.role !== 'super_admin' && await isLastSuperAdmin(user)) {
+        res.status(409).json({ error: 'Cannot remove the last super admin' });
+        return;
+      }
+      fields.push('role = ?');
+      params.push(access.role);
+    }
+    if (twoFactorRequired !== undefined) {
+      fields.push('totp_required = ?');
+      params.push(twoFactorRequired ? 1 : 0);
+    }
+    if (fields.length === 0 && !password) {
+      res.status(400).json({ error: 'Nothing to update' });
       return;
     }
-    await dbRun('UPDATE employees SET name = ? WHERE id = ?', [name.trim(), req.params.id]);
+    params.push(user.id);
+    await db.transaction(async tx => {
+      const before = await adminUserSnapshot(tx, user.id);
+      if (fields.length > 0) await tx.run(`UPDATE admin_users SET ${fields.join(', ')} WHERE id = ?`, params);
+      if (hash) {
+        const own = user.id === req.adminUser.id;
+        await setAdminPassword(tx, user.id, hash, { mustChange: !own, keepToken: own ? parseCookies(req)['admin_token'] : null });
+      }
+      if (access) await setAdminLocations(tx, user.id, access.locationIds);
+      const after = await adminUserSnapshot(tx, user.id);
+      if (password) after.password_changed = true;
+      await recordAudit(tx, req, { action: 'update', entity: 'admin_user', entityId: user.id, before, after });
+    });
     res.json({ success: true });
   } catch (err) {
     if (/unique/i.test(err.message)) {
-      res.status(409).json({ error: 'Employee already exists' });
+      res.status(409).json({ error: 'Admin already exists' });
+    } else if (/foreign key/i.test(err.message)) {
+      res.status(400).json({ error: 'Unknown location' });
     } else {
       res.status(500).json({ error: err.message });
     }
   }
 });
-app.delete('/admin/employees/:id', requireAdmin, async (req, res) => {
+// For an admin who has lost their authenticator and recovery codes. Ends
+// their sessions; if two-factor authentication is required for them, they
+// set it up again at their next login.
+app.post('/admin/users/:id/2fa/reset', requireRole('super_admin'), async (req, res) => {
   try {
-    await dbRun('DELETE FROM employees WHERE id = ?', [req.params.id]);
+    const users = await db.query('SELECT id FROM admin_users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      res.status(404).json({ error: 'Admin not found' });
+      return;
+    }
+    const user = users[0];
+    await db.transaction(async tx => {
+      const before = await adminUserSnapshot(tx, user.id);
+      await clearTwoFactor(tx, user.id);
+      const own = user.id === req.adminUser.id;
+      await tx.run('DELETE FROM admin_sessions WHERE user_id = ? AND token <> ?', [user.id, own ? parseCookies(req)['admin_token'] : '']);
+      await recordAudit(tx, req, { action: 'reset_2fa', entity: 'admin_user', entityId: user.id, before, after: await adminUserSnapshot(tx, user.id) });
+    });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-
-// Admin: locations
-app.get('/admin/locations', requireAdmin, async (req, res) => {
+app.delete('/admin/users/:id', requireRole('super_admin'), async (req, res) => {
   try {
-    const rows = await dbQuery('SELECT id, name FROM locations ORDER BY name');
-    res.json(rows);
+    const users = await db.query('SELECT id, role FROM admin_users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      res.status(404).json({ error: 'Admin not found' });
+      return;
+    }
+    if (users[0].id === req.adminUser.id) {
+      res.status(400).json({ error: 'You cannot delete your own account' });
+      return;
+    }
+    if (await isLastSuperAdmin(users[0])) {
+      res.status(409).json({ error: 'Cannot remove the last super admin' });
+      return;
+    }
+    await db.transaction(async tx => {
+      const before = await adminUserSnapshot(tx, users[0].id);
+      await tx.run('DELETE FROM admin_users WHERE id = ?', [users[0].id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'admin_user', entityId: users[0].id, before });
+    });
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.post('/admin/locations', requireAdmin, async (req, res) => {
-  try {
-    const { name } = req.body || {};
-    if (!name || !name.trim()) {
-      res.status(400).json({ error: 'Name is required' });
-      return;
+
+/*
+ * Notifications. Every morning employees who want reminders get one if they
+ * have no entry for the day before and could still register it; once a
+ * week everyone who wants the digest gets last week's location standings
+ * and their own total and rank. Messages go out on each employee's chosen
+ * channel (see lib/notifier.js); employees without a personal link or an
+ * address for their channel are skipped. Times are local server time and
+ * can be set with REMINDER_TIME, DIGEST_DAY (1 = Monday ... 7 = Sunday)
+ * and DIGEST_TIME, or 'off' to disable a job. Links point at PUBLIC_URL
+ * when it is set.
+ */
+const NOTIFICATION_SCHEDULES = {
+  reminders: { time: process.env.REMINDER_TIME || '09:00' },
+  digest: { time: process.env.DIGEST_TIME || '08:00', weekday: (Number(process.env.DIGEST_DAY) || 1) % 7 },
+};
+const NOTIFICATION_RECIPIENT_COLUMNS = 'e.id, e.name, e.location_id, e.email, e.chat_webhook_url, e.notify_via';
+
+function formatSteps(value) {
+  return Number(value).toLocaleString('nb-NO');
+}
+// Sends `build(recipient)` to each recipient and counts the outcome. A
+// recipient for whom build returns null is skipped.
+async function notifyAll(recipients, build) {
+  const result = { sent: 0, failed: 0, error: null };
+  for (const recipient of recipients) {
+    if (!notifier.reachable(recipient)) continue;
+    const message = build(recipient);
+    if (!message) continue;
+    try {
+      await notifier.send(recipient, message);
+      result.sent += 1;
+    } catch (err) {
+      console.error(`Failed to notify employee ${recipient.id}`, err);
+      result.failed += 1;
+      result.error = result.error || err.message;
     }
-    await dbRun('INSERT INTO locations (name) VALUES (?)', [name.trim()]);
-    res.json({ success: true });
+  }
+  return result;
+}
+async function sendReminders(runDate) {
+  const date = addDays(runDate, -1);
+  const employees = await db.query(
+    `SELECT ${NOTIFICATION_RECIPIENT_COLUMNS} FROM employees e
+     WHERE e.reminders_enabled = 1 AND e.notify_via <> 'none'
+       AND EXISTS (SELECT 1 FROM employee_tokens t WHERE t.employee_id = e.id)
+       AND NOT EXISTS (SELECT 1 FROM steps s WHERE s.employee_id = e.id AND s.date = ?)`,
+    [date]
+  );
+  // Only those who could still register the day themselves
+  const recipients = [];
+  for (const employee of employees) {
+    const locationId = await employeeLocationOn(db, employee.id, date);
+    const competition = await findCompetitionForEntry(date, locationId);
+    if (competition && withinBackfill(date, competition, runDate)) recipients.push(employee);
+  }
+  const link = pageLink('register.html');
+  return notifyAll(recipients, employee => ({
+    subject: 'Husk å registrere skrittene dine',
+    text: `Hei ${employee.name}!\n\nVi finner ingen skritt registrert på deg for ${date}. `
+      + (link ? `Du kan registrere dem her:\n${link}` : 'Husk å registrere dem med den personlige lenken din.'),
+  }));
+}
+// The digest covers the last full week before the run date, within the
+// current competition.
+async function sendWeeklyDigest(runDate) {
+  const from = addDays(weekStart(runDate), -7);
+  const to = addDays(from, 6);
+  const competition = await getCurrentCompetition();
+  if (competition && (toISODate(competition.start_date) > to || toISODate(competition.end_date) < from)) {
+    return { sent: 0, failed: 0, error: null };
+  }
+  const week = await leaderboardTotals(from, to, competition);
+  const overall = competition
+    ? await leaderboardTotals(toISODate(competition.start_date), to, competition)
+    : null;
+  const recipients = await db.query(
+    `SELECT ${NOTIFICATION_RECIPIENT_COLUMNS} FROM employees e
+     WHERE e.digest_enabled = 1 AND e.notify_via <> 'none'
+       AND EXISTS (SELECT 1 FROM employee_tokens t WHERE t.employee_id = e.id)`
+  );
+  const standings = week.locations.length === 0
+    ? ['Ingen registreringer ennå.']
+    : week.locations.map(l => `${l.rank}. ${l.name}: ${formatSteps(l.total)} skritt, ${formatSteps(l.average)} i snitt per deltaker`);
+  const link = pageLink('me.html');
+  return notifyAll(recipients, employee => {
+    const own = week.employees.find(r => r.id === employee.id);
+    const ownOverall = overall && overall.employees.find(r => r.id === employee.id);
+    const lines = [`Hei ${employee.name}!`, ''];
+    lines.push(own
+      ? `Forrige uke (${from} – ${to}) gikk du ${formatSteps(own.total)} skritt på ${own.days} dager og ble nummer ${own.rank} av ${week.employees.length}.`
+      : `Vi fant ingen godkjente skritt på deg forrige uke (${from} – ${to}).`);
+    if (ownOverall) lines.push(`I ${competition.name} har du gått ${formatSteps(ownOverall.total)} skritt så langt.`);
+    lines.push('', 'Lokasjonene forrige uke:', ...standings);
+    if (link) lines.push('', `Se mer på Min side: ${link}`);
+    return { subject: `Ukeoppsummering ${from} – ${to}`, text: lines.join('\n') };
+  });
+}
+const NOTIFICATION_JOBS = { reminders: sendReminders, digest: sendWeeklyDigest };
+const NOTIFICATION_RUN_COLUMNS = 'id, job, run_key, run_date, started_at, finished_at, sent, failed, error';
+
+// Runs a job for `runDate` and records the outcome. Scheduled runs claim
+// the date first and are skipped (resolving to null) when it has been
+// claimed already; manual runs always go ahead.
+async function runNotificationJob(job, runDate, { manual = false } = {}) {
+  const runKey = manual ? null : runDate;
+  if (runKey) {
+    const existing = await db.query('SELECT id FROM notification_runs WHERE job = ? AND run_key = ?', [job, runKey]);
+    if (existing.length > 0) return null;
+  }
+  let id;
+  try {
+    id = await db.insert(
+      'INSERT INTO notification_runs (job, run_key, run_date, started_at) VALUES (?, ?, ?, ?)',
+      [job, runKey, runDate, new Date().toISOString()]
+    );
   } catch (err) {
-    if (/unique/i.test(err.message)) {
-      res.status(409).json({ error: 'Location already exists' });
-    } else {
-      res.status(500).json({ error: err.message });
-    }
+    // Another instance claimed the run in the meantime.
+    if (runKey && /unique/i.test(err.message)) return null;
+    throw err;
+  }
+  let result;
+  try {
+    result = await NOTIFICATION_JOBS[job](runDate);
+  } catch (err) {
+    result = { sent: 0, failed: 0, error: err.message };
+  }
+  await db.run(
+    'UPDATE notification_runs SET finished_at = ?, sent = ?, failed = ?, error = ? WHERE id = ?',
+    [new Date().toISOString(), result.sent, result.failed, result.error, id]
+  );
+  const [row] = await db.query(`SELECT ${NOTIFICATION_RUN_COLUMNS} FROM notification_runs WHERE id = ?`, [id]);
+  return row;
+}
+function startNotificationScheduler() {
+  startScheduler({ jobs: NOTIFICATION_SCHEDULES, run: runNotificationJob });
+}
+
+// Admin: notifications
+//
+// Recent runs of the reminder and digest jobs with the schedule, and a way
+// for super admins to run a job now, for the date it would run on today
+// or a given ?date.
+app.get('/admin/notifications', requireAdmin, async (req, res) => {
+  try {
+    const runs = await db.query(`SELECT ${NOTIFICATION_RUN_COLUMNS} FROM notification_runs ORDER BY started_at DESC, id DESC LIMIT 50`);
+    const schedules = Object.entries(NOTIFICATION_SCHEDULES).map(([job, schedule]) => ({
+      job,
+      time: parseTime(schedule.time) ? schedule.time : null,
+      weekday: schedule.weekday === undefined ? null : schedule.weekday,
+    }));
+    res.json({ schedules, runs });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
-app.put('/admin/locations/:id', requireAdmin, async (req, res) => {
+app.post('/admin/notifications/run', requireRole('super_admin'), async (req, res) => {
   try {
-    const { name } = req.body || {};
-    if (!name || !name.trim()) {
-      res.status(400).json({ error: 'Name is required' });
+    const { job, date } = req.body || {};
+    if (!NOTIFICATION_JOBS[job]) {
+      res.status(400).json({ error: 'Job must be reminders or digest' });
       return;
     }
-    await dbRun('UPDATE locations SET name = ? WHERE id = ?', [name.trim(), req.params.id]);
-    res.json({ success: true });
-  } catch (err) {
-    if (/unique/i.test(err.message)) {
-      res.status(409).json({ error: 'Location already exists' });
-    } else {
-      res.status(500).json({ error: err.message });
+    const runDate = date ? toISODate(date) : localDate(new Date());
+    if (!runDate) {
+      res.status(400).json({ error: 'Invalid date' });
+      return;
     }
+    const run = await runNotificationJob(job, runDate, { manual: true });
+    await recordAudit(db, req, { action: 'run', entity: 'notification', entityId: run.id, after: run });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
-app.delete('/admin/locations/:id', requireAdmin, async (req, res) => {
+
+/*
+ * Webhooks. Other systems subscribe to events under /admin/webhooks and get
+ * signed JSON payloads (see lib/webhooks.js):
+ *
+ *   steps.created, steps.updated  { entry, previous } when an entry is
+ *                                 registered, imported, corrected or reviewed
+ *   steps.deleted                 { entry }
+ *   employee.created              the new employee
+ *   leaderboard.changed           the standings of the current competition,
+ *                                 when anyone's place has changed
+ *
+ * Events are queued in the transaction making the change and sent by a
+ * background worker, so a slow receiver never holds up a request.
+ */
+let webhookWorker = null;
+// The worker is woken once the change is committed, since it cannot see
+// the deliveries before then. Step events also go to the live streams.
+async function emitWebhookEvent(conn, event, data) {
+  const ids = await webhooks.enqueueEvent(conn, event, data);
+  if (ids.length > 0 && webhookWorker) conn.afterCommit(() => webhookWorker.kick());
+  if (event.startsWith('steps.')) conn.afterCommit(() => publishEntryChange(event, data));
+}
+// An entry with the names of its employee and location, and the entry as
+// it was before the change when there was one.
+async function stepEventData(conn, entry, previous) {
+  const [names] = await conn.query(
+    'SELECT e.name AS employee_name, l.name AS location_name FROM employees e LEFT JOIN locations l ON l.id = ? WHERE e.id = ?',
+    [entry.location_id, entry.employee_id]
+  );
+  const data = { entry: { ...entry, ...names } };
+  if (previous !== undefined) data.previous = previous;
+  return data;
+}
+// Publishes leaderboard.changed when the places in the current competition
+// differ from those last published; totals alone changing is not enough.
+async function publishLeaderboardChange() {
+  if (!(await webhooks.hasSubscribers(db, 'leaderboard.changed'))) return;
+  const competition = await getCurrentCompetition();
+  const from = competition ? toISODate(competition.start_date) : '1970-01-01';
+  let to = toISODate(new Date());
+  if (competition && to > toISODate(competition.end_date)) to = toISODate(competition.end_date);
+  const totals = await leaderboardTotals(from, to, competition);
+  const standing = key => row => ({ id: row.id, name: row.name, rank: row.rank, [key]: row[key] });
+  const data = {
+    competition_id: competition ? competition.id : null,
+    from,
+    to,
+    employees: totals.employees.map(standing('total')),
+    locations: totals.locations.map(standing('total')),
+    teams: totals.teams.map(standing('average')),
+  };
+  const places = JSON.stringify([data.competition_id, ...['employees', 'locations', 'teams'].map(key => data[key].map(r => [r.id, r.rank]))]);
+  const [state] = await db.query("SELECT value FROM webhook_state WHERE key = 'leaderboard'");
+  if (state.value === places) return;
+  await db.transaction(async tx => {
+    // Only the request that records the new places publishes them.
+    const { changes } = await tx.run("UPDATE webhook_state SET value = ? WHERE key = 'leaderboard' AND value = ?", [places, state.value]);
+    if (changes > 0) await emitWebhookEvent(tx, 'leaderboard.changed', data);
+  });
+}
+// Called once entries have been committed.
+function afterStepsChanged() {
+  publishLeaderboardChange().catch(err => console.error('Failed to publish leaderboard change', err));
+  scheduleStatsEvent();
+}
+
+/*
+ * Live updates (see lib/live.js). Anyone may follow /api/events, which
+ * carries a `stats` event with the current competition's figures for
+ * everyone and per location whenever entries change; pages showing another
+ * view fetch it again. Admins follow /admin/events, which also carries an
+ * `entry` event ({ action: created, updated or deleted, entry, previous })
+ * for every change to an entry in their locations.
+ */
+const live = createEventHub();
+// However many entries change at once, statistics are sent at most this
+// often.
+const STATS_EVENT_DELAY_MS = 1000;
+let statsEventTimer = null;
+function scheduleStatsEvent() {
+  if (statsEventTimer || live.size() === 0) return;
+  statsEventTimer = setTimeout(async () => {
+    statsEventTimer = null;
+    try {
+      const competition = await getCurrentCompetition();
+      const stats = await buildStatistics({ competition });
+      if (stats.error) return;
+      live.publish('stats', {
+        competition_id: competition ? competition.id : null,
+        from: stats.from,
+        to: stats.to,
+        overall: stats.overall ? stats.overall.summary : null,
+        locations: stats.groups.map(group => ({ id: group.id, name: group.name, ...group.summary })),
+      });
+    } catch (err) {
+      console.error('Failed to publish statistics', err);
+    }
+  }, STATS_EVENT_DELAY_MS);
+}
+function publishEntryChange(event, data) {
+  live.publish('entry', { action: event.substring('steps.'.length), entry: data.entry, previous: data.previous || null });
+}
+app.get('/api/events', (req, res) => {
+  live.connect(req, res, { accepts: event => event === 'stats' });
+});
+app.get('/admin/events', requireAdmin, (req, res) => {
+  const user = req.adminUser;
+  const token = parseCookies(req)['admin_token'];
+  live.connect(req, res, {
+    accepts: (event, data) => event === 'stats' || (event === 'entry' && (
+      canManageLocation(user, data.entry.location_id) || (!!data.previous && canManageLocation(user, data.previous.location_id))
+    )),
+    // The stream ends with the session it was opened in.
+    alive: async () => {
+      const [session] = await db.query('SELECT expires_at FROM admin_sessions WHERE token = ?', [token]);
+      return !!session && new Date(session.expires_at) > new Date();
+    },
+  });
+});
+
+// Admin: webhooks
+//
+// Only super admins manage webhooks. The secret is shown when a webhook is
+// created and when it is replaced, and is never logged. Each webhook has a
+// delivery log; failed deliveries can be sent again, and a test event
+// is sent straight away so the result can be shown.
+const WEBHOOK_COLUMNS = 'id, url, description, events, active, created_at';
+const DELIVERY_COLUMNS = 'id, event_id, event, status, attempts, next_attempt_at, last_attempt_at, response_status, error, created_at, payload';
+// Validates the body of POST/PUT /admin/webhooks. Returns an error message,
+// or null with the normalised values stored on `out`.
+function validateWebhookBody(body, out) {
+  const { url, events, description, active } = body || {};
+  let parsed;
   try {
-    await dbRun('DELETE FROM locations WHERE id = ?', [req.params.id]);
-    res.json({ success: true });
+    parsed = new URL(String(url || ''));
+  } catch (err) {
+    return 'A valid URL is required';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'URL must use http or https';
+  if (!Array.isArray(events) || events.length === 0) return 'Choose at least one event';
+  const unknown = events.find(e => !webhooks.WEBHOOK_EVENTS.includes(e));
+  if (unknown) return `Unknown event ${unknown}`;
+  out.url = parsed.toString();
+  out.events = [...new Set(events)].join(',');
+  out.description = description ? String(description).trim() : null;
+  out.active = active === false ? 0 : 1;
+  return null;
+}
+function webhookSnapshot(row) {
+  return { ...row, events: webhooks.parseEvents(row.events), active: !!row.active };
+}
+async function getWebhook(id, conn = db) {
+  const [row] = await conn.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [id]);
+  return row ? webhookSnapshot(row) : null;
+}
+app.get('/admin/webhooks', requireRole('super_admin'), async (req, res) => {
+  try {
+    const rows = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`);
+    const counts = await db.query('SELECT webhook_id, status, COUNT(*) AS count, MAX(last_attempt_at) AS last_attempt_at FROM webhook_deliveries GROUP BY webhook_id, status');
+    const result = rows.map(row => {
+      const own = counts.filter(c => c.webhook_id === row.id);
+      const count = status => Number((own.find(c => c.status === status) || { count: 0 }).count);
+      const attempts = own.map(c => c.last_attempt_at).filter(Boolean).map(t => new Date(t).toISOString()).sort();
+      return {
+        ...webhookSnapshot(row),
+        delivered: count('delivered'),
+        pending: count('pending'),
+        failed: count('failed'),
+        last_attempt_at: attempts.length > 0 ? attempts[attempts.length - 1] : null,
+      };
+    });
+    res.json({ events: webhooks.WEBHOOK_EVENTS, webhooks: result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-
-// Admin: steps management
-app.get('/admin/steps', requireAdmin, async (req, res) => {
+app.post('/admin/webhooks', requireRole('super_admin'), async (req, res) => {
   try {
-    let rows;
-    if (isPg) {
-      rows = await dbQuery(
-        `SELECT s.id, s.date, s.steps, e.id AS employee_id, e.name AS employee_name, l.id AS location_id, l.name AS location_name
-         FROM steps s
-         JOIN employees e ON e.id = s.employee_id
-         JOIN locations l ON l.id = s.location_id
-         ORDER BY s.date DESC, e.name ASC`
-      );
-    } else {
-      rows = await dbQuery(
-        `SELECT steps.id, steps.date, steps.steps, employees.id AS employee_id, employees.name AS employee_name, locations.id AS location_id, locations.name AS location_name
-         FROM steps
-         JOIN employees ON employees.id = steps.employee_id
-         JOIN locations ON locations.id = steps.location_id
-         ORDER BY steps.date DESC, employees.name ASC`
-      );
+    const values = {};
+    const error = validateWebhookBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
+      return;
     }
-    res.json(rows);
+    const secret = generateToken();
+    const id = await db.transaction(async tx => {
+      const newId = await tx.insert(
+        'INSERT INTO webhooks (url, description, events, secret, active, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [values.url, values.description, values.events, secret, values.active, new Date().toISOString()]
+      );
+      await recordAudit(tx, req, { action: 'create', entity: 'webhook', entityId: newId, after: await getWebhook(newId, tx) });
+      return newId;
+    });
+    res.json({ success: true, id, secret });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.put('/admin/steps/:id', requireAdmin, async (req, res) => {
+app.put('/admin/webhooks/:id', requireRole('super_admin'), async (req, res) => {
   try {
-    const { steps, date, locationId, employeeId } = req.body || {};
-    const fields = [];
-    const params = [];
-    if (steps !== undefined) {
-      const s = parseInt(steps, 10);
-      if (isNaN(s) || s < 0) {
-        res.status(400).json({ error: 'Steps must be non-negative' });
-        return;
-      }
-      fields.push('steps = ?');
-      params.push(s);
-    }
-    if (date) {
-      const d = new Date(date);
-      if (isNaN(d.getTime())) {
-        res.status(400).json({ error: 'Invalid date' });
-        return;
-      }
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      if (d > today) {
-        res.status(400).json({ error: 'Date cannot be in the future' });
-        return;
-      }
-      fields.push('date = ?');
-      params.push(d.toISOString().substring(0, 10));
-    }
-    if (locationId) {
-      fields.push('location_id = ?');
-      params.push(locationId);
-    }
-    if (employeeId) {
-      fields.push('employee_id = ?');
-      params.push(employeeId);
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
     }
-    if (fields.length === 0) {
-      res.status(400).json({ error: 'No fields to update' });
+    const values = {};
+    const error = validateWebhookBody(req.body, values);
+    if (error) {
+      res.status(400).json({ error });
       return;
     }
-    params.push(req.params.id);
-    await dbRun(`UPDATE steps SET ${fields.join(', ')} WHERE id = ?`, params);
+    await db.transaction(async tx => {
+      await tx.run('UPDATE webhooks SET url = ?, description = ?, events = ?, active = ? WHERE id = ?', [values.url, values.description, values.events, values.active, webhook.id]);
+      await recordAudit(tx, req, { action: 'update', entity: 'webhook', entityId: webhook.id, before: webhook, after: await getWebhook(webhook.id, tx) });
+    });
+    if (values.active && webhookWorker) webhookWorker.kick();
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.delete('/admin/steps/:id', requireAdmin, async (req, res) => {
+app.delete('/admin/webhooks/:id', requireRole('super_admin'), async (req, res) => {
   try {
-    await dbRun('DELETE FROM steps WHERE id = ?', [req.params.id]);
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+    await db.transaction(async tx => {
+      await tx.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.id]);
+      await tx.run('DELETE FROM webhooks WHERE id = ?', [webhook.id]);
+      await recordAudit(tx, req, { action: 'delete', entity: 'webhook', entityId: webhook.id, before: webhook });
+    });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-
-// Admin: users
-app.get('/admin/users', requireAdmin, async (req, res) => {
+app.post('/admin/webhooks/:id/secret', requireRole('super_admin'), async (req, res) => {
   try {
-    const rows = await dbQuery('SELECT id, email FROM admin_users ORDER BY email');
-    res.json(rows);
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+    const secret = generateToken();
+    await db.transaction(async tx => {
+      await tx.run('UPDATE webhooks SET secret = ? WHERE id = ?', [secret, webhook.id]);
+      await recordAudit(tx, req, { action: 'rotate_secret', entity: 'webhook', entityId: webhook.id });
+    });
+    res.json({ success: true, secret });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.post('/admin/users', requireAdmin, async (req, res) => {
+app.post('/admin/webhooks/:id/test', requireRole('super_admin'), async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) {
-      res.status(400).json({ error: 'Email and password required' });
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
       return;
     }
-    const salt = generateSalt();
-    const passwordHash = hashPassword(password, salt);
-    await dbRun('INSERT INTO admin_users (email, password_hash, salt) VALUES (?, ?, ?)', [email, passwordHash, salt]);
-    res.json({ success: true });
+    const [id] = await webhooks.enqueueEvent(db, webhooks.TEST_EVENT, { webhook_id: webhook.id, sent_by: req.adminUser.email }, { webhookId: webhook.id });
+    const delivery = await webhooks.deliverNow(db, id);
+    const [row] = await db.query(`SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = ?`, [id]);
+    res.json({ success: !!delivery && delivery.status === 'delivered', delivery: row });
   } catch (err) {
-    if (/unique/i.test(err.message)) {
-      res.status(409).json({ error: 'Admin already exists' });
-    } else {
-      res.status(500).json({ error: err.message });
-    }
+    res.status(500).json({ error: err.message });
   }
 });
-app.put('/admin/users/:id', requireAdmin, async (req, res) => {
+// The latest deliveries, newest first; ?status= narrows them down.
+app.get('/admin/webhooks/:id/deliveries', requireRole('super_admin'), async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    const fields = [];
-    const params = [];
-    if (email) {
-      fields.push('email = ?');
-      params.push(email);
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
     }
-    if (password) {
-      const salt = generateSalt();
-      const passwordHash = hashPassword(password, salt);
-      fields.push('password_hash = ?');
-      fields.push('salt = ?');
-      params.push(passwordHash, salt);
+    const { status } = req.query;
+    if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+      res.status(400).json({ error: 'Status must be pending, delivered or failed' });
+      return;
     }
-    if (fields.length === 0) {
-      res.status(400).json({ error: 'Nothing to update' });
+    const rows = await db.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE webhook_id = ?${status ? ' AND status = ?' : ''}
+       ORDER BY created_at DESC, id DESC LIMIT 100`,
+      status ? [webhook.id, status] : [webhook.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Queues a failed delivery again with a fresh set of retries.
+app.post('/admin/webhooks/:id/deliveries/:deliveryId/retry', requireRole('super_admin'), async (req, res) => {
+  try {
+    const { changes } = await db.run(
+      "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND webhook_id = ? AND status = 'failed'",
+      [new Date().toISOString(), req.params.deliveryId, req.params.id]
+    );
+    if (changes === 0) {
+      res.status(409).json({ error: 'Only failed deliveries can be retried' });
       return;
     }
-    params.push(req.params.id);
-    await dbRun(`UPDATE admin_users SET ${fields.join(', ')} WHERE id = ?`, params);
+    if (webhookWorker) webhookWorker.kick();
     res.json({ success: true });
   } catch (err) {
-    if (/unique/i.test(err.message)) {
-      res.status(409).json({ error: 'Admin already exists' });
-    } else {
-      res.status(500).json({ error: err.message });
-    }
+    res.status(500).json({ error: err.message });
   }
 });
-app.delete('/admin/users/:id', requireAdmin, async (req, res) => {
+
+// Admin: audit log
+//
+// Newest entries first, a page at a time. Filters: entity, entityId,
+// action, actorType, actor (case-insensitive search) and from/to dates.
+app.get('/admin/audit', requireRole('super_admin'), async (req, res) => {
   try {
-    await dbRun('DELETE FROM admin_users WHERE id = ?', [req.params.id]);
-    res.json({ success: true });
+    const conditions = ['1 = 1'];
+    const params = [];
+    for (const [key, column] of [['entity', 'entity'], ['entityId', 'entity_id'], ['action', 'action'], ['actorType', 'actor_type']]) {
+      if (req.query[key]) {
+        conditions.push(`${column} = ?`);
+        params.push(String(req.query[key]));
+      }
+    }
+    if (req.query.actor) {
+      conditions.push('LOWER(actor) LIKE ?');
+      params.push(`%${String(req.query.actor).toLowerCase()}%`);
+    }
+    if (req.query.from) {
+      const from = toISODate(req.query.from);
+      if (!from) {
+        res.status(400).json({ error: 'Invalid from date' });
+        return;
+      }
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (req.query.to) {
+      const to = toISODate(req.query.to);
+      if (!to) {
+        res.status(400).json({ error: 'Invalid to date' });
+        return;
+      }
+      conditions.push('created_at < ?');
+      params.push(addDays(to, 1));
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(500, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+    const where = conditions.join(' AND ');
+    const rows = await db.query(
+      `SELECT id, created_at, actor_type, actor_id, actor, action, entity, entity_id, old_values, new_values, ip
+       FROM audit_log
+       WHERE ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    rows.forEach(row => {
+      row.old_values = row.old_values === null ? null : JSON.parse(row.old_values);
+      row.new_values = row.new_values === null ? null : JSON.parse(row.new_values);
+    });
+    const [{ count }] = await db.query(`SELECT COUNT(*) AS count FROM audit_log WHERE ${where}`, params);
+    res.json({ rows, total: count, page, pageSize, pages: Math.ceil(count / pageSize) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -543,13 +4175,45 @@ app.get('*', (req, res) => {
   }
 });
 
-initDatabase()
-  .then(() => {
-    app.listen(PORT, () => {
-      console.log(`Server listening on port ${PORT}`);
+// `node app.js migrate` applies pending migrations and exits;
+// `node app.js migrate:status` lists applied and pending migrations.
+// Without a command the server migrates and starts listening.
+async function runCommand(command) {
+  await connectDatabase();
+  if (command === 'migrate') {
+    const applied = await migrate(db);
+    applied.forEach(m => console.log(`Applied migration ${m.version} ${m.name}`));
+    console.log(applied.length === 0 ? 'Database is up to date' : `Applied ${applied.length} migration(s)`);
+  } else {
+    const status = await migrationStatus(db);
+    status.forEach(m => {
+      console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(30)} ${m.applied_at ? 'applied ' + m.applied_at : 'pending'}`);
     });
-  })
-  .catch(err => {
-    console.error('Failed to initialize database', err);
+  }
+  await db.close();
+}
+
+const command = process.argv[2];
+if (command === 'migrate' || command === 'migrate:status') {
+  runCommand(command).catch(err => {
+    console.error('Migration failed', err);
     process.exit(1);
   });
+} else if (command) {
+  console.error(`Unknown command: ${command}`);
+  process.exit(1);
+} else {
+  initDatabase()
+    .then(() => {
+      startSessionCleanup();
+      startNotificationScheduler();
+      webhookWorker = webhooks.startWebhookWorker(db);
+      app.listen(PORT, () => {
+        console.log(`Server listening on port ${PORT}`);
+      });
+    })
+    .catch(err => {
+      console.error('Failed to initialize database', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,137 @@
+/*
+ * Achievements: badges employees earn from their approved step entries.
+ *
+ * Each rule is a plain object with a code, a name and description for the
+ * pages, an icon and a type with its parameters:
+ *
+ *   day_steps           { threshold }  a day with at least `threshold` steps
+ *   streak              { days }       entries on `days` days in a row
+ *   total_steps         { threshold }  at least `threshold` steps in total
+ *   location_week_rank  { rank }       among the top `rank` of their location
+ *                                      in an ISO week (ties included)
+ *
+ * Badges always reflect the current entries: when entries change, the
+ * affected employees and location weeks are evaluated again, and a badge
+ * is withdrawn if, say, the entry that earned it is rejected. Weekly badges
+ * are awarded per week, and the others once.
+ */
+
+const RULES = [
+  { code: 'first_10k', type: 'day_steps', threshold: 10000, icon: '👟', name: 'Første 10 000-dag', description: 'Gikk minst 10 000 skritt på én dag' },
+  { code: 'day_20k', type: 'day_steps', threshold: 20000, icon: '🚀', name: '20 000 på én dag', description: 'Gikk minst 20 000 skritt på én dag' },
+  { code: 'streak_7', type: 'streak', days: 7, icon: '🔥', name: 'Sju på rad', description: 'Registrerte skritt sju dager på rad' },
+  { code: 'streak_30', type: 'streak', days: 30, icon: '🏅', name: 'En hel måned', description: 'Registrerte skritt 30 dager på rad' },
+  { code: 'total_1m', type: 'total_steps', threshold: 1000000, icon: '💎', name: 'Millionær', description: 'Gikk over en million skritt til sammen' },
+  { code: 'top3_location_week', type: 'location_week_rank', rank: 3, icon: '🏆', name: 'Topp 3 på lokasjonen', description: 'Blant de tre beste på lokasjonen en uke' },
+];
+
+function addDays(dateISO, days) {
+  const d = new Date(dateISO + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+function weekStart(dateISO) {
+  return addDays(dateISO, -((new Date(dateISO + 'T00:00:00Z').getUTCDay() + 6) % 7));
+}
+
+// Rule types evaluated on one employee's approved entries, oldest first.
+// Each returns the date the badge was earned, or null.
+const EMPLOYEE_RULE_TYPES = {
+  day_steps: (rule, entries) => {
+    const entry = entries.find(e => e.steps >= rule.threshold);
+    return entry ? entry.date : null;
+  },
+  streak: (rule, entries) => {
+    let run = 0;
+    for (let i = 0; i < entries.length; i++) {
+      run = i > 0 && addDays(entries[i - 1].date, 1) === entries[i].date ? run + 1 : 1;
+      if (run >= rule.days) return entries[i].date;
+    }
+    return null;
+  },
+  total_steps: (rule, entries) => {
+    let total = 0;
+    for (const entry of entries) {
+      total += entry.steps;
+      if (total >= rule.threshold) return entry.date;
+    }
+    return null;
+  },
+};
+
+async function syncEmployee(conn, employeeId, awarded) {
+  const entries = await conn.query("SELECT date, steps FROM steps WHERE employee_id = ? AND status = 'approved' ORDER BY date", [employeeId]);
+  for (const rule of RULES.filter(r => EMPLOYEE_RULE_TYPES[r.type])) {
+    const earnedOn = EMPLOYEE_RULE_TYPES[rule.type](rule, entries);
+    if (earnedOn) {
+      await award(conn, { employeeId, code: rule.code, earnedOn }, awarded);
+    } else {
+      await conn.run('DELETE FROM employee_achievements WHERE employee_id = ? AND code = ?', [employeeId, rule.code]);
+    }
+  }
+}
+
+async function syncLocationWeek(conn, locationId, start, awarded) {
+  const end = addDays(start, 6);
+  const totals = await conn.query(
+    `SELECT employee_id, SUM(steps) AS total FROM steps
+     WHERE location_id = ? AND date >= ? AND date <= ? AND status = 'approved'
+     GROUP BY employee_id`,
+    [locationId, start, end]
+  );
+  const ranked = totals.map(t => ({ employeeId: t.employee_id, total: Number(t.total) })).sort((a, b) => b.total - a.total);
+  for (const rule of RULES.filter(r => r.type === 'location_week_rank')) {
+    // Competition ranking: everyone tied with the last qualifying place
+    // qualifies too.
+    const cutoff = ranked.length >= rule.rank ? ranked[rule.rank - 1].total : 0;
+    const qualified = ranked.filter(r => r.total > 0 && r.total >= cutoff).map(r => r.employeeId);
+    const placeholders = qualified.map(() => '?').join(', ');
+    await conn.run(
+      `DELETE FROM employee_achievements WHERE code = ? AND period = ? AND location_id = ?${qualified.length > 0 ? ` AND employee_id NOT IN (${placeholders})` : ''}`,
+      [rule.code, start, locationId, ...qualified]
+    );
+    for (const employeeId of qualified) {
+      await award(conn, { employeeId, code: rule.code, period: start, locationId, earnedOn: end }, awarded);
+    }
+  }
+}
+
+async function award(conn, { employeeId, code, period = '', locationId = null, earnedOn }, awarded) {
+  const result = await conn.run(
+    `INSERT INTO employee_achievements (employee_id, code, period, location_id, earned_on, awarded_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (employee_id, code, period) DO NOTHING`,
+    [employeeId, code, period, locationId, earnedOn, new Date().toISOString()]
+  );
+  if (result.changes > 0) awarded.push({ employee_id: employeeId, code, period });
+}
+
+// Evaluates the rules again after entries have changed. `changes` lists
+// the entries before and after the change as { employee_id, location_id,
+// date }. Returns the badges that were newly awarded.
+async function evaluateAchievements(conn, changes) {
+  const awarded = [];
+  const employees = new Set();
+  const weeks = new Map();
+  changes.filter(Boolean).forEach(change => {
+    employees.add(change.employee_id);
+    const start = weekStart(change.date);
+    weeks.set(`${change.location_id}/${start}`, { locationId: change.location_id, start });
+  });
+  for (const employeeId of employees) await syncEmployee(conn, employeeId, awarded);
+  for (const { locationId, start } of weeks.values()) await syncLocationWeek(conn, locationId, start, awarded);
+  return awarded;
+}
+
+// Evaluates every employee and location week, for when the rules change.
+async function rebuildAchievements(conn) {
+  const changes = await conn.query('SELECT DISTINCT employee_id, location_id, date FROM steps');
+  await conn.run(`DELETE FROM employee_achievements WHERE code NOT IN (${RULES.map(() => '?').join(', ')})`, RULES.map(r => r.code));
+  return evaluateAchievements(conn, changes);
+}
+
+function describeAchievement(badge) {
+  const rule = RULES.find(r => r.code === badge.code);
+  return rule ? { ...badge, name: rule.name, description: rule.description, icon: rule.icon } : badge;
+}
+
+module.exports = { RULES, evaluateAchievements, rebuildAchievements, describeAchievement };
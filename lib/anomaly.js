@@ -0,0 +1,44 @@
+/*
+ * Outlier detection for step entries.
+ *
+ * A new value is compared with a sample of earlier values (the employee's
+ * own history or the recent entries at their location) using the modified
+ * z-score of Iglewicz and Hoaglin, which is based on the median and the
+ * median absolute deviation and so is not thrown off by the very outliers
+ * it is looking for. Only unusually high values are reported; a low step
+ * count gives nobody an advantage.
+ */
+
+const Z_THRESHOLD = 3.5;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Returns { median, score } when `value` is a high outlier in `sample`, or
+// null when it is not or the sample has fewer than `minSamples` values.
+// `minRatio` also requires the value to be that many times the median, so
+// that a tight sample does not flag ordinary variation.
+function findHighOutlier(value, sample, { minSamples = 5, threshold = Z_THRESHOLD, minRatio = 1 } = {}) {
+  if (sample.length < minSamples) return null;
+  const med = median(sample);
+  if (value <= med || value < med * minRatio) return null;
+  const deviations = sample.map(v => Math.abs(v - med));
+  const mad = median(deviations);
+  let score;
+  if (mad > 0) {
+    score = (0.6745 * (value - med)) / mad;
+  } else {
+    // More than half of the sample is identical; fall back to the mean
+    // absolute deviation, and when that is zero too to a plain ratio.
+    const meanDeviation = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+    if (meanDeviation > 0) score = (value - med) / (1.253314 * meanDeviation);
+    else score = med > 0 && value > 2 * med ? Infinity : 0;
+  }
+  return score > threshold ? { median: med, score } : null;
+}
+
+module.exports = { median, findHighOutlier };
@@ -0,0 +1,189 @@
+const sqlite3 = require('sqlite3').verbose();
+const { Pool, types } = require('pg');
+
+/*
+ * Database adapter giving SQLite and PostgreSQL the same query API.
+ *
+ * SQL is written once with `?` placeholders; they are rewritten to `$1, $2,
+ * ...` for PostgreSQL. Both backends return DATE columns as 'YYYY-MM-DD'
+ * strings and integer and numeric aggregates as numbers, so results look
+ * the same whichever database is in use.
+ *
+ *   query(sql, params)   resolves to an array of rows
+ *   run(sql, params)     resolves to { changes } (affected row count)
+ *   insert(sql, params)  runs an INSERT and resolves to the new row's id
+ *   transaction(fn)      runs fn(tx) inside BEGIN/COMMIT, rolling back if it
+ *                        throws; tx has the same query/run/insert methods
+ *   afterCommit(fn)      calls fn once the transaction has been committed,
+ *                        and never if it is rolled back; outside a
+ *                        transaction fn is called straight away
+ *
+ * Statements inside a transaction must go through `tx`. On SQLite the single
+ * connection is shared, so other statements wait until the transaction ends.
+ */
+
+types.setTypeParser(1082, value => value); // DATE
+types.setTypeParser(20, value => parseInt(value, 10)); // BIGINT (COUNT, SUM)
+types.setTypeParser(1700, value => parseFloat(value)); // NUMERIC
+
+// Rewrites `?` placeholders to PostgreSQL's numbered form, leaving quoted
+// strings and identifiers untouched.
+function toPgPlaceholders(sql) {
+  let out = '';
+  let n = 0;
+  let quote = null;
+  for (const ch of sql) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      out += ch;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      out += ch;
+    } else if (ch === '?') {
+      n += 1;
+      out += '$' + n;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// A failing callback must not fail a transaction that has already been
+// committed, so errors are only logged.
+function runNow(cb) {
+  try {
+    cb();
+  } catch (err) {
+    console.error('After-commit callback failed', err);
+  }
+}
+function runCommitted(callbacks) {
+  callbacks.forEach(runNow);
+}
+
+function createPgDatabase(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  function handle(client) {
+    return {
+      async query(sql, params = []) {
+        const result = await client.query(toPgPlaceholders(sql), params);
+        return result.rows;
+      },
+      async run(sql, params = []) {
+        const result = await client.query(toPgPlaceholders(sql), params);
+        return { changes: result.rowCount };
+      },
+      async insert(sql, params = []) {
+        const result = await client.query(toPgPlaceholders(sql) + ' RETURNING id', params);
+        return result.rows[0].id;
+      },
+    };
+  }
+  return {
+    isPg: true,
+    ...handle(pool),
+    afterCommit: runNow,
+    async transaction(fn) {
+      const client = await pool.connect();
+      const committed = [];
+      try {
+        await client.query('BEGIN');
+        const result = await fn({ ...handle(client), afterCommit: cb => committed.push(cb) });
+        await client.query('COMMIT');
+        runCommitted(committed);
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    close() {
+      return pool.end();
+    },
+  };
+}
+
+function createSqliteDatabase(filename) {
+  const conn = new sqlite3.Database(filename);
+  const raw = {
+    query(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        conn.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    },
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        conn.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes, lastId: this.lastID });
+        });
+      });
+    },
+  };
+  const tx = {
+    query: raw.query,
+    async run(sql, params) {
+      const { changes } = await raw.run(sql, params);
+      return { changes };
+    },
+    async insert(sql, params) {
+      const { lastId } = await raw.run(sql, params);
+      return lastId;
+    },
+  };
+  // Every operation is queued behind the previous one so that statements
+  // from concurrent requests never run inside someone else's transaction.
+  let queue = Promise.resolve();
+  function exclusive(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+  return {
+    isPg: false,
+    query: (sql, params) => exclusive(() => tx.query(sql, params)),
+    run: (sql, params) => exclusive(() => tx.run(sql, params)),
+    insert: (sql, params) => exclusive(() => tx.insert(sql, params)),
+    afterCommit: runNow,
+    transaction(fn) {
+      return exclusive(async () => {
+        const committed = [];
+        await raw.run('BEGIN');
+        try {
+          const result = await fn({ ...tx, afterCommit: cb => committed.push(cb) });
+          await raw.run('COMMIT');
+          runCommitted(committed);
+          return result;
+        } catch (err) {
+          await raw.run('ROLLBACK');
+          throw err;
+        }
+      });
+    },
+    close() {
+      return new Promise((resolve, reject) => {
+        conn.close(err => (err ? reject(err) : resolve()));
+      });
+    },
+  };
+}
+
+// Connects to PostgreSQL when databaseUrl is set, otherwise opens the
+// SQLite file with foreign key enforcement switched on.
+async function createDatabase({ databaseUrl, sqliteFile }) {
+  if (databaseUrl) return createPgDatabase(databaseUrl);
+  const database = createSqliteDatabase(sqliteFile);
+  await database.run('PRAGMA foreign_keys = ON');
+  return database;
+}
+
+module.exports = { createDatabase, toPgPlaceholders };
@@ -0,0 +1,56 @@
+const ExcelJS = require('exceljs');
+const { formatCsvRow } = require('./csv');
+
+/*
+ * Writes tabular results as CSV, XLSX or JSON downloads for the admin
+ * export routes. A table is described as one or more sheets:
+ *
+ *   { name, key, columns: [{ key, header }], rows }
+ *
+ * `name` titles the worksheet and `key` names the sheet in JSON output when
+ * there is more than one. CSV only has room for one sheet, so it contains
+ * the first one. The rows are passed in already loaded; CSV and XLSX are
+ * written to the response row by row rather than assembled as a whole file
+ * in memory first.
+ */
+
+const FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { type: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+async function sendExport(res, format, basename, sheets) {
+  const { type, extension } = FORMATS[format];
+  res.setHeader('Content-Type', type);
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}.${extension}"`);
+  if (format === 'json') {
+    const body = sheets.length === 1
+      ? sheets[0].rows
+      : Object.fromEntries(sheets.map(sheet => [sheet.key, sheet.rows]));
+    res.end(JSON.stringify(body, null, 2));
+    return;
+  }
+  if (format === 'csv') {
+    const [sheet] = sheets;
+    // The byte order mark makes Excel read the file as UTF-8 (æ, ø, å).
+    res.write('\uFEFF' + formatCsvRow(sheet.columns.map(c => c.header)));
+    sheet.rows.forEach(row => res.write(formatCsvRow(sheet.columns.map(c => row[c.key]))));
+    res.end();
+    return;
+  }
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  sheets.forEach(sheet => {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map(c => ({ header: c.header, key: c.key, width: Math.max(12, c.header.length + 2) }));
+    sheet.rows.forEach(row => worksheet.addRow(row).commit());
+    worksheet.commit();
+  });
+  await workbook.commit();
+}
+
+module.exports = { sendExport, isExportFormat };
@@ -0,0 +1,192 @@
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./csv');
+
+/*
+ * Reading of uploaded spreadsheets for the bulk import routes.
+ *
+ * A CSV or XLSX upload is turned into a list of rows keyed by header, the
+ * columns are mapped onto the fields the import needs, and the raw values
+ * are normalised. Validation against the database happens in the routes so
+ * that imported rows follow exactly the same rules as POST /api/steps.
+ *
+ * Besides our own layout (employee, location, date, steps) the step import
+ * recognises the CSV exports of Google Fit ("Daily activity metrics") and
+ * of the common Apple Health export apps. Those files describe a single
+ * person, so the employee is chosen for the whole upload. The location of
+ * an entry always follows the employee's location history; a location
+ * column is only checked against it.
+ */
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const STEP_FORMATS = [
+  {
+    name: 'google-fit',
+    personal: true,
+    detect: headers => headers.includes('date') && headers.includes('step count'),
+    columns: { date: ['date'], steps: ['step count'] },
+  },
+  {
+    name: 'apple-health',
+    personal: true,
+    sumPerDay: true,
+    detect: headers => headers.includes('step count (count)'),
+    columns: { date: ['date/time', 'date'], steps: ['step count (count)'] },
+  },
+  {
+    // One row per sample as written by "Simple Health Export CSV" and
+    // similar apps; rows of other types than StepCount are ignored.
+    name: 'apple-health-samples',
+    personal: true,
+    sumPerDay: true,
+    detect: headers => headers.includes('startdate') && headers.includes('value'),
+    filter: row => !row.type || /stepcount/i.test(row.type),
+    columns: { date: ['startdate'], steps: ['value'], type: ['type'] },
+  },
+  {
+    name: 'standard',
+    detect: () => true,
+    columns: {
+      employee: ['employee', 'ansatt', 'name', 'navn'],
+      location: ['location', 'lokasjon', 'office', 'kontor'],
+      date: ['date', 'dato'],
+      steps: ['steps', 'skritt', 'antall skritt'],
+    },
+  },
+];
+
+const EMPLOYEE_COLUMNS = {
+  name: ['name', 'navn', 'employee', 'ansatt'],
+  location: ['location', 'lokasjon', 'office', 'kontor'],
+};
+
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    return '';
+  }
+  return value;
+}
+
+// Reads the first worksheet of an XLSX file or a CSV file into a list of
+// header names and rows. `line` is the row number shown to the user.
+async function readSpreadsheet(file) {
+  let table;
+  if (file.mimetype === XLSX_MIME || /\.xlsx$/i.test(file.originalname || '')) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    table = [];
+    if (sheet) {
+      sheet.eachRow((row, rowNumber) => {
+        const values = row.values.slice(1).map(cellValue);
+        table.push({ line: rowNumber, values });
+      });
+    }
+  } else {
+    table = parseCsv(file.buffer.toString('utf8')).map((values, i) => ({ line: i + 1, values }));
+  }
+  if (table.length === 0) return { headers: [], rows: [] };
+  const headers = table[0].values.map(h => String(h).trim());
+  const rows = table.slice(1).map(({ line, values }) => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = values[i] === undefined ? '' : values[i];
+    });
+    return { line, record };
+  });
+  return { headers, rows };
+}
+
+// Picks a header for each field, preferring an explicit mapping
+// ({ field: 'Header name' }) over the known aliases.
+function resolveMapping(headers, aliases, override = {}) {
+  const byLower = new Map(headers.map(h => [h.toLowerCase(), h]));
+  const mapping = {};
+  Object.keys(aliases).forEach(field => {
+    if (override[field] && headers.includes(override[field])) {
+      mapping[field] = override[field];
+      return;
+    }
+    const match = aliases[field].find(alias => byLower.has(alias));
+    if (match) mapping[field] = byLower.get(match);
+  });
+  return mapping;
+}
+
+// Accepts ISO dates, ISO date-times, Norwegian DD.MM.YYYY and Excel dates.
+function parseImportDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+  }
+  const text = String(value).trim();
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
+
+// Turns "12 345", "12,345" or "1234.0" into a number; anything else is
+// passed through for the regular step validation to reject.
+function parseImportSteps(value) {
+  if (typeof value === 'number') return Math.round(value);
+  const text = String(value).trim().replace(/\u00a0/g, ' ');
+  if (/^\d{1,3}([ ,.]\d{3})+$/.test(text)) return parseInt(text.replace(/[ ,.]/g, ''), 10);
+  if (/^\d+([.,]\d+)?$/.test(text)) return Math.round(parseFloat(text.replace(',', '.')));
+  return text;
+}
+
+// Maps an uploaded steps file onto { line, employee, location, date, steps }
+// rows. Returns an `error` instead when required columns are missing.
+function mapStepRows(sheet, override) {
+  const lower = sheet.headers.map(h => h.toLowerCase());
+  const format = override && override.format
+    ? STEP_FORMATS.find(f => f.name === override.format)
+    : STEP_FORMATS.find(f => f.detect(lower));
+  if (!format) return { error: `Unknown format ${override.format}` };
+  const mapping = resolveMapping(sheet.headers, format.columns, override);
+  const missing = ['date', 'steps'].filter(field => !mapping[field]);
+  if (missing.length > 0) {
+    return { format: format.name, mapping, error: `Missing column(s): ${missing.join(', ')}` };
+  }
+  let rows = sheet.rows
+    .filter(({ record }) => !format.filter || format.filter({ type: mapping.type ? String(record[mapping.type]) : '' }))
+    .map(({ line, record }) => ({
+      line,
+      employee: mapping.employee ? String(record[mapping.employee]).trim() : '',
+      location: mapping.location ? String(record[mapping.location]).trim() : '',
+      date: parseImportDate(record[mapping.date]),
+      steps: parseImportSteps(record[mapping.steps]),
+    }));
+  if (format.sumPerDay) {
+    const byDate = new Map();
+    rows.forEach(row => {
+      const existing = row.date && byDate.get(row.date);
+      if (existing && typeof existing.steps === 'number' && typeof row.steps === 'number') {
+        existing.steps += row.steps;
+      } else {
+        byDate.set(row.date || `line-${row.line}`, row);
+      }
+    });
+    rows = Array.from(byDate.values());
+  }
+  return { format: format.name, personal: !!format.personal, mapping, rows };
+}
+
+function mapEmployeeRows(sheet, override) {
+  const mapping = resolveMapping(sheet.headers, EMPLOYEE_COLUMNS, override);
+  if (!mapping.name) return { mapping, error: 'Missing column(s): name' };
+  const rows = sheet.rows.map(({ line, record }) => ({
+    line,
+    name: String(record[mapping.name]).trim(),
+    location: mapping.location ? String(record[mapping.location]).trim() : '',
+  }));
+  return { mapping, rows };
+}
+
+module.exports = { readSpreadsheet, mapStepRows, mapEmployeeRows };
@@ -0,0 +1,67 @@
+/*
+ * Server-Sent Events for pages that update live, such as the chart on the
+ * canteen screen and the admin tables.
+ *
+ * connect(req, res, options) turns the response into an event stream that
+ * stays open until the browser goes away; EventSource reconnects by itself
+ * when the connection drops. publish(event, data) sends an event to every
+ * client whose accepts(event, data) agrees. A comment line is sent every
+ * HEARTBEAT_MS so that proxies do not close idle streams, and clients with
+ * an alive() check that resolves to false (such as an admin whose session
+ * has ended) are disconnected then.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+// How long EventSource waits before reconnecting.
+const RETRY_MS = 5 * 1000;
+
+function createEventHub() {
+  const clients = new Set();
+  let nextId = 1;
+  function drop(client) {
+    clients.delete(client);
+    client.res.end();
+  }
+  async function heartbeat() {
+    for (const client of clients) {
+      try {
+        if (client.alive && !(await client.alive())) {
+          drop(client);
+          continue;
+        }
+        client.res.write(': heartbeat\n\n');
+      } catch (err) {
+        console.error('Event stream heartbeat failed', err);
+        drop(client);
+      }
+    }
+  }
+  const timer = setInterval(heartbeat, HEARTBEAT_MS);
+  timer.unref();
+  return {
+    connect(req, res, { accepts = () => true, alive = null } = {}) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Keeps nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+      const client = { res, accepts, alive };
+      clients.add(client);
+      req.on('close', () => clients.delete(client));
+    },
+    publish(event, data) {
+      const message = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const client of clients) {
+        if (client.accepts(event, data)) client.res.write(message);
+      }
+    },
+    // The number of open streams, so that nothing is computed for nobody.
+    size: () => clients.size,
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = { createEventHub };
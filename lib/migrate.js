@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Versioned schema migrations shared by the SQLite and PostgreSQL backends.
+ *
+ * Each file in migrations/ is named NNN_description.js and exports an async
+ * `up(db)` function. Migrations run in version order, each inside its own
+ * transaction, and the applied versions are recorded in schema_migrations.
+ * The `db` handed to a migration exposes `run`, `query`, `isPg` and `types`,
+ * a small map of column types that differ between the two backends, so one
+ * migration file describes the change for both.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const TYPES = {
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    date: 'TEXT',
+    timestamp: 'TEXT',
+  },
+  pg: {
+    id: 'SERIAL PRIMARY KEY',
+    date: 'DATE',
+    timestamp: 'TIMESTAMP',
+  },
+};
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const version = parseInt(file.split('_')[0], 10);
+      const name = file.replace(/^\d+_/, '').replace(/\.js$/, '');
+      const { up } = require(path.join(dir, file));
+      if (typeof up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      return { version, name, up };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  const types = TYPES[db.isPg ? 'pg' : 'sqlite'];
+  await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at ${types.timestamp} NOT NULL)`);
+}
+
+// Lists every known migration with the time it was applied, or null when
+// it is still pending.
+async function migrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const applied = await db.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.map(row => [Number(row.version), row.applied_at]));
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: appliedAt.has(m.version) ? appliedAt.get(m.version) : null,
+  }));
+}
+
+// Applies all pending migrations in order and returns the ones it ran.
+async function migrate(db) {
+  await ensureMigrationsTable(db);
+  const applied = await db.query('SELECT version FROM schema_migrations');
+  const done = new Set(applied.map(row => Number(row.version)));
+  const types = TYPES[db.isPg ? 'pg' : 'sqlite'];
+  const ran = [];
+  for (const m of loadMigrations()) {
+    if (done.has(m.version)) continue;
+    await db.transaction(async tx => {
+      await m.up({ run: tx.run, query: tx.query, insert: tx.insert, isPg: db.isPg, types });
+      await tx.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [m.version, m.name, new Date().toISOString()]);
+    });
+    ran.push(m);
+  }
+  return ran;
+}
+
+module.exports = { migrate, migrationStatus, loadMigrations };
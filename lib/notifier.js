@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+/*
+ * Notifications to employees, such as reminders and the weekly digest.
+ *
+ * A message ({ subject, text }) goes out on the channel the recipient has
+ * chosen in notify_via:
+ *
+ *   email  sent with the mailer (see lib/mailer.js) to recipient.email
+ *   slack  POSTed to the Slack incoming webhook in recipient.chat_webhook_url
+ *   teams  POSTed as a message card to the Teams incoming webhook in
+ *          recipient.chat_webhook_url
+ *
+ * For testing, NOTIFY_OUTPUT=console writes every notification to the
+ * server log and NOTIFY_OUTPUT=file appends it to NOTIFY_FILE (default
+ * notifications.log) instead of delivering it.
+ *
+ * Other channels can be added with registerChannel(name, channel), where
+ * channel.address(recipient) picks the recipient's address (null when it
+ * has none) and channel.create(env, { mailer }) returns an async function
+ * taking the address and the message.
+ */
+
+async function postJson(url, body) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  if (!res.ok) throw new Error(`Webhook responded with ${res.status}`);
+}
+
+const CHANNELS = {
+  email: {
+    address: recipient => recipient.email || null,
+    create: (env, { mailer }) => async (address, message) => {
+      await mailer.send({ to: address, subject: message.subject, text: message.text });
+    },
+  },
+  slack: {
+    address: recipient => recipient.chat_webhook_url || null,
+    create: () => async (address, message) => {
+      await postJson(address, { text: `*${message.subject}*\n\n${message.text}` });
+    },
+  },
+  teams: {
+    address: recipient => recipient.chat_webhook_url || null,
+    create: () => async (address, message) => {
+      await postJson(address, {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.subject,
+        title: message.subject,
+        text: message.text.replace(/\n/g, '\n\n'),
+      });
+    },
+  },
+};
+
+function formatNotification(channel, address, message) {
+  return [`Channel: ${channel}`, `To: ${address}`, `Subject: ${message.subject}`, '', message.text, ''].join('\n');
+}
+
+// Replaces delivery on every channel when NOTIFY_OUTPUT is set.
+const OUTPUTS = {
+  console: () => async (channel, address, message) => {
+    console.log(`--- notification ---\n${formatNotification(channel, address, message)}--- end of notification ---`);
+  },
+  file: env => {
+    const file = env.NOTIFY_FILE || 'notifications.log';
+    return async (channel, address, message) => {
+      await fs.promises.appendFile(file, `${new Date().toISOString()}\n${formatNotification(channel, address, message)}\n`);
+    };
+  },
+};
+
+function registerChannel(name, channel) {
+  CHANNELS[name] = channel;
+}
+
+function channelNames() {
+  return Object.keys(CHANNELS);
+}
+
+function createNotifier({ mailer, env = process.env }) {
+  if (env.NOTIFY_OUTPUT && !OUTPUTS[env.NOTIFY_OUTPUT]) throw new Error(`Unknown notification output ${env.NOTIFY_OUTPUT}`);
+  const output = env.NOTIFY_OUTPUT ? OUTPUTS[env.NOTIFY_OUTPUT](env) : null;
+  const senders = {};
+  return {
+    // Whether the recipient can be reached on the channel they chose.
+    reachable(recipient) {
+      const channel = CHANNELS[recipient.notify_via];
+      return !!channel && !!channel.address(recipient);
+    },
+    async send(recipient, message) {
+      const channel = CHANNELS[recipient.notify_via];
+      if (!channel) throw new Error(`Unknown notification channel ${recipient.notify_via}`);
+      const address = channel.address(recipient);
+      if (!address) throw new Error(`No ${recipient.notify_via} address`);
+      if (output) {
+        await output(recipient.notify_via, address, message);
+        return;
+      }
+      if (!senders[recipient.notify_via]) senders[recipient.notify_via] = channel.create(env, { mailer });
+      await senders[recipient.notify_via](address, message);
+    },
+  };
+}
+
+module.exports = { createNotifier, registerChannel, channelNames };
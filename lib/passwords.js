@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+/*
+ * Admin passwords.
+ *
+ * Hashes are PBKDF2-SHA512 with a random salt per user. The iteration count
+ * is stored next to each hash, so it can be raised without locking anyone
+ * out: older hashes are upgraded the next time the admin logs in. Hashing
+ * runs on the thread pool so that a login does not hold up other requests.
+ */
+
+const PASSWORD_ITERATIONS = 210000;
+const PASSWORD_MIN_LENGTH = 12;
+const PASSWORD_MAX_LENGTH = 128;
+
+function generateSalt() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+async function hashPassword(password, salt, iterations = PASSWORD_ITERATIONS) {
+  const key = await pbkdf2(password, salt, iterations, 64, 'sha512');
+  return key.toString('hex');
+}
+
+// The columns to store for a new password.
+async function createPasswordHash(password) {
+  const salt = generateSalt();
+  return { password_hash: await hashPassword(password, salt), salt, password_iterations: PASSWORD_ITERATIONS };
+}
+
+// Compares in constant time against a row with password_hash, salt and
+// password_iterations.
+async function verifyPassword(password, user) {
+  const actual = Buffer.from(await hashPassword(password, user.salt, user.password_iterations), 'hex');
+  const expected = Buffer.from(user.password_hash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function needsRehash(user) {
+  return user.password_iterations < PASSWORD_ITERATIONS;
+}
+
+// Returns an error message when the password does not meet the policy, or
+// null. Length matters more than character classes, but passwords built
+// from the email address or from a few repeated characters are refused.
+function validatePassword(password, email) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+  const lower = password.toLowerCase();
+  const address = String(email || '').toLowerCase();
+  const localPart = address.split('@')[0];
+  if (address && (lower.includes(address) || (localPart.length >= 3 && lower.includes(localPart)))) {
+    return 'Password must not contain the email address';
+  }
+  if (new Set(lower).size < 5) return 'Password is too simple';
+  return null;
+}
+
+module.exports = { hashPassword, createPasswordHash, verifyPassword, needsRehash, validatePassword };
@@ -0,0 +1,64 @@
+/*
+ * In-process scheduler for jobs that run at a local time of day, either
+ * daily or on one weekday ({ time: 'HH:MM', weekday }, weekday 0 being
+ * Sunday as in Date#getDay).
+ *
+ * Every minute the scheduler works out each job's latest scheduled time
+ * and calls run(name, runDate) with its local date ('YYYY-MM-DD'). The
+ * caller keeps track of which runs have happened, so a run missed while
+ * the server was down is made up at the next start, and a run is only
+ * started again once the previous one has finished.
+ */
+
+const TICK_MS = 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function localDate(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Parses 'HH:MM'; returns null for 'off' or an invalid time.
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+// The most recent time at or before `now` the job was due.
+function latestOccurrence(schedule, now) {
+  const { hours, minutes } = parseTime(schedule.time);
+  const d = new Date(now);
+  d.setHours(hours, minutes, 0, 0);
+  if (d > now) d.setDate(d.getDate() - 1);
+  if (schedule.weekday !== undefined) {
+    while (d.getDay() !== schedule.weekday) d.setDate(d.getDate() - 1);
+  }
+  return d;
+}
+
+// `jobs` maps job names to schedules; jobs without a valid time are left
+// out. Returns { stop }.
+function startScheduler({ jobs, run, now = () => new Date() }) {
+  const active = Object.entries(jobs).filter(([, schedule]) => parseTime(schedule.time));
+  const running = new Set();
+  function tick() {
+    for (const [name, schedule] of active) {
+      if (running.has(name)) continue;
+      running.add(name);
+      const runDate = localDate(latestOccurrence(schedule, now()));
+      Promise.resolve()
+        .then(() => run(name, runDate))
+        .catch(err => console.error(`Scheduled job ${name} failed`, err))
+        .finally(() => running.delete(name));
+    }
+  }
+  tick();
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = { startScheduler, parseTime, latestOccurrence, localDate };
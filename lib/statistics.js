@@ -0,0 +1,227 @@
+const { median } = require('./anomaly');
+
+/*
+ * Step statistics over a date range, bucketed by day, week (from Monday) or
+ * month and grouped by location, team or employee, plus the same figures
+ * for everyone together.
+ *
+ * Averages are per enrolled employee, not per entry, so that a day when few
+ * people registered does not look like a good day. An employee is enrolled
+ * on a day when they belong to a location taking part that day, following
+ * their location history (or the location of an entry they made that day);
+ * nobody is enrolled before their first assignment, or before `since`.
+ * For every bucket:
+ *
+ *   total            approved steps
+ *   activity_steps   how many of them came from other activities
+ *   entries          approved entries, i.e. employee days with steps
+ *   participants     employees with at least one entry
+ *   enrolled         employees enrolled on at least one day
+ *   enrolled_days    the number of enrolled employees summed over the days
+ *   average          total / enrolled_days: daily steps per enrolled employee
+ *   median           the median of the entries
+ *   participation    entries / enrolled_days: the share of employee days
+ *                    with an entry
+ *   rolling_average  average over the 7 days up to the end of the bucket,
+ *                    or the days since `since` when there are fewer
+ *
+ * average, median, participation and rolling_average are null when there is
+ * nothing to base them on.
+ */
+
+const INTERVALS = ['day', 'week', 'month'];
+const GROUPS = ['location', 'team', 'employee'];
+const ROLLING_DAYS = 7;
+const OVERALL = 'all';
+
+function addDays(dateISO, days) {
+  const d = new Date(dateISO + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+// The first day of the bucket a date falls in.
+function bucketStart(dateISO, interval) {
+  if (interval === 'month') return dateISO.substring(0, 8) + '01';
+  if (interval === 'week') {
+    const weekday = (new Date(dateISO + 'T00:00:00Z').getUTCDay() + 6) % 7;
+    return addDays(dateISO, -weekday);
+  }
+  return dateISO;
+}
+
+function dateRange(from, to) {
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) days.push(d);
+  return days;
+}
+
+function emptyBucket() {
+  return { total: 0, activity_steps: 0, values: [], participants: new Set(), enrolled: new Set(), enrolled_days: 0 };
+}
+
+function finishBucket(bucket) {
+  const entries = bucket.values.length;
+  return {
+    total: bucket.total,
+    activity_steps: bucket.activity_steps,
+    entries,
+    participants: bucket.participants.size,
+    enrolled: bucket.enrolled.size,
+    enrolled_days: bucket.enrolled_days,
+    average: bucket.enrolled_days > 0 ? Math.round(bucket.total / bucket.enrolled_days) : null,
+    median: median(bucket.values),
+    participation: bucket.enrolled_days > 0 ? Math.round((entries / bucket.enrolled_days) * 1000) / 1000 : null,
+  };
+}
+
+// The location of every employee on every day, following their
+// assignments ({ employee_id, location_id, start_date }) the way
+// employeeLocationOn in app.js does, except that it is null before the
+// first one. Returns a function (employeeId, date).
+function locationHistory(assignments) {
+  const byEmployee = new Map();
+  assignments.forEach(a => {
+    if (!byEmployee.has(a.employee_id)) byEmployee.set(a.employee_id, []);
+    byEmployee.get(a.employee_id).push(a);
+  });
+  byEmployee.forEach(list => list.sort((a, b) => a.start_date.localeCompare(b.start_date)));
+  return (employeeId, date) => {
+    const list = byEmployee.get(employeeId);
+    if (!list || list[0].start_date > date) return null;
+    let current = list[0];
+    for (const a of list) {
+      if (a.start_date > date) break;
+      current = a;
+    }
+    return current.location_id;
+  };
+}
+
+/*
+ * Works out the statistics from:
+ *
+ *   from, to      the range, as 'YYYY-MM-DD'
+ *   since         the first day there can be data, such as the start of
+ *                 the competition; the rolling average does not reach back
+ *                 further. The first entry by default.
+ *   interval      day, week or month
+ *   groupBy       location, team or employee
+ *   entries       approved entries { employee_id, location_id, date, steps,
+ *                 activity_steps } from ROLLING_DAYS - 1 days before `from`
+ *                 up to `to`
+ *   employees     { id, name } of everyone who may be enrolled
+ *   assignments   their location history
+ *   locations     { id, name } of the locations taking part
+ *   teams         { id, name } and teamOf, mapping employee ids to team ids
+ *
+ * Returns { from, to, interval, groupBy, buckets, groups, overall }, where
+ * every group is { id, name, points, summary }; points has one entry per
+ * bucket (its start date in `bucket`, clipped to the range in start and
+ * end) and summary covers the whole range.
+ */
+function computeStatistics({ from, to, since, interval, groupBy, entries, employees, assignments, locations, teams = [], teamOf = new Map() }) {
+  const locationOn = locationHistory(assignments);
+  const taking = new Set(locations.map(l => l.id));
+  const names = new Map(
+    (groupBy === 'location' ? locations : groupBy === 'team' ? teams : employees).map(g => [g.id, g.name])
+  );
+  const groupOf = (employeeId, locationId) => {
+    if (groupBy === 'location') return locationId;
+    if (groupBy === 'team') return teamOf.get(employeeId) || null;
+    return employeeId;
+  };
+  const entriesByDay = new Map();
+  entries.forEach(entry => {
+    if (!entriesByDay.has(entry.date)) entriesByDay.set(entry.date, new Map());
+    entriesByDay.get(entry.date).set(entry.employee_id, entry);
+  });
+
+  // Per group: the buckets, the whole range and the daily total and
+  // enrolment for the rolling average. OVERALL is everyone together.
+  const stats = new Map();
+  const statsFor = key => {
+    if (!stats.has(key)) stats.set(key, { buckets: new Map(), range: emptyBucket(), daily: new Map() });
+    return stats.get(key);
+  };
+  if (since === undefined) since = entries.reduce((min, e) => (e.date < min ? e.date : min), from);
+  const rollingStart = addDays(from, -(ROLLING_DAYS - 1));
+  const first = since > rollingStart ? since : rollingStart;
+  for (const date of dateRange(first, to)) {
+    const inRange = date >= from;
+    const bucketKey = bucketStart(date, interval);
+    const dayEntries = entriesByDay.get(date) || new Map();
+    for (const employee of employees) {
+      const entry = dayEntries.get(employee.id);
+      const locationId = entry ? entry.location_id : locationOn(employee.id, date);
+      if (!taking.has(locationId)) continue;
+      for (const key of [OVERALL, groupOf(employee.id, locationId)]) {
+        if (key === null || key === undefined) continue;
+        const group = statsFor(key);
+        const day = group.daily.get(date) || { total: 0, enrolled: 0 };
+        day.enrolled += 1;
+        if (entry) day.total += entry.steps;
+        group.daily.set(date, day);
+        if (!inRange) continue;
+        if (!group.buckets.has(bucketKey)) group.buckets.set(bucketKey, emptyBucket());
+        for (const bucket of [group.buckets.get(bucketKey), group.range]) {
+          bucket.enrolled.add(employee.id);
+          bucket.enrolled_days += 1;
+          if (!entry) continue;
+          bucket.total += entry.steps;
+          bucket.activity_steps += entry.activity_steps || 0;
+          bucket.values.push(entry.steps);
+          bucket.participants.add(employee.id);
+        }
+      }
+    }
+  }
+
+  const buckets = [];
+  for (const date of dateRange(from, to)) {
+    const key = bucketStart(date, interval);
+    if (buckets[buckets.length - 1] !== key) buckets.push(key);
+  }
+  const rollingAverage = (group, end) => {
+    let total = 0;
+    let enrolled = 0;
+    for (let i = 0; i < ROLLING_DAYS; i++) {
+      const day = group.daily.get(addDays(end, -i));
+      if (!day) continue;
+      total += day.total;
+      enrolled += day.enrolled;
+    }
+    return enrolled > 0 ? Math.round(total / enrolled) : null;
+  };
+  const describe = (key, group) => ({
+    id: key === OVERALL ? null : key,
+    name: key === OVERALL ? null : names.get(key) || null,
+    points: buckets.map((bucket, i) => {
+      const end = i + 1 < buckets.length ? addDays(buckets[i + 1], -1) : to;
+      return {
+        bucket,
+        start: bucket < from ? from : bucket,
+        end,
+        ...finishBucket(group.buckets.get(bucket) || emptyBucket()),
+        rolling_average: rollingAverage(group, end),
+      };
+    }),
+    summary: { ...finishBucket(group.range), rolling_average: rollingAverage(group, to) },
+  });
+  const groups = [];
+  stats.forEach((group, key) => {
+    if (key !== OVERALL && group.range.enrolled.size > 0) groups.push(describe(key, group));
+  });
+  groups.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  return {
+    from,
+    to,
+    interval,
+    groupBy,
+    buckets,
+    groups,
+    overall: describe(OVERALL, stats.get(OVERALL) || { buckets: new Map(), range: emptyBucket(), daily: new Map() }),
+  };
+}
+
+module.exports = { INTERVALS, GROUPS, ROLLING_DAYS, computeStatistics };
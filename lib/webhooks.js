@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+/*
+ * Outgoing webhooks.
+ *
+ * An event is queued as one delivery per active subscription, in the same
+ * transaction as the change it describes. A worker POSTs due deliveries as
+ * JSON ({ id, event, created_at, data }) with these headers:
+ *
+ *   X-Webhook-Event      the event name
+ *   X-Webhook-Id         the event id, the same for every subscription
+ *   X-Webhook-Delivery   the delivery id
+ *   X-Webhook-Timestamp  seconds since the epoch when the attempt was made
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *                        keyed with the subscription's secret
+ *
+ * A delivery succeeds on any 2xx response. Otherwise it is retried after
+ * RETRY_DELAYS_MS and marked failed when those run out. Deliveries that are
+ * no longer pending are kept for DELIVERY_RETENTION_MS as a delivery log.
+ */
+
+const WEBHOOK_EVENTS = ['steps.created', 'steps.updated', 'steps.deleted', 'employee.created', 'leaderboard.changed'];
+const TEST_EVENT = 'webhook.test';
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How long a worker may take over a delivery before another one retries it.
+const LEASE_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function parseEvents(events) {
+  return String(events || '').split(',').map(e => e.trim()).filter(Boolean);
+}
+
+async function subscribedWebhooks(conn, event) {
+  const webhooks = await conn.query('SELECT id, events FROM webhooks WHERE active = 1');
+  return webhooks.filter(w => parseEvents(w.events).includes(event));
+}
+
+async function hasSubscribers(conn, event) {
+  return (await subscribedWebhooks(conn, event)).length > 0;
+}
+
+// Queues `event` for every active subscription to it, or only for
+// `webhookId` when given (used for test events). Returns the delivery ids.
+async function enqueueEvent(conn, event, data, { webhookId } = {}) {
+  const webhooks = webhookId ? [{ id: webhookId }] : await subscribedWebhooks(conn, event);
+  if (webhooks.length === 0) return [];
+  const now = new Date().toISOString();
+  const eventId = crypto.randomUUID();
+  const payload = JSON.stringify({ id: eventId, event, created_at: now, data });
+  const ids = [];
+  for (const webhook of webhooks) {
+    ids.push(await conn.insert(
+      `INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, status, next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, 'pending', ?, ?)`,
+      [webhook.id, eventId, event, payload, now, now]
+    ));
+  }
+  return ids;
+}
+
+// Makes one attempt at a pending delivery and records the outcome.
+async function attemptDelivery(conn, delivery) {
+  const now = new Date();
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let responseStatus = null;
+  let error = null;
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Skrittkonkurranse-Webhook/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    responseStatus = res.status;
+    if (!res.ok) error = `Responded with ${res.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'Timed out' : err.message;
+  }
+  const attempts = delivery.attempts + 1;
+  let status = 'delivered';
+  let nextAttemptAt = null;
+  if (error) {
+    const delay = RETRY_DELAYS_MS[attempts - 1];
+    status = delay === undefined ? 'failed' : 'pending';
+    nextAttemptAt = delay === undefined ? null : new Date(now.getTime() + delay).toISOString();
+  }
+  await conn.run(
+    `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?, error = ?
+     WHERE id = ?`,
+    [status, attempts, nextAttemptAt, now.toISOString(), responseStatus, error, delivery.id]
+  );
+  return { ...delivery, status, attempts, next_attempt_at: nextAttemptAt, last_attempt_at: now.toISOString(), response_status: responseStatus, error };
+}
+
+const DUE_COLUMNS = 'd.id, d.event_id, d.event, d.payload, d.attempts, d.next_attempt_at, w.url, w.secret';
+
+// Takes over a due delivery so that no other worker sends it at the same
+// time. Returns false when someone else got there first.
+async function leaseDelivery(conn, delivery, now) {
+  const result = await conn.run(
+    "UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ? AND status = 'pending' AND attempts = ? AND next_attempt_at <= ?",
+    [new Date(now.getTime() + LEASE_MS).toISOString(), delivery.id, delivery.attempts, now.toISOString()]
+  );
+  return result.changes > 0;
+}
+
+// Sends the deliveries that are due, oldest first.
+async function deliverDue(conn) {
+  const now = new Date();
+  const due = await conn.query(
+    `SELECT ${DUE_COLUMNS} FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+     ORDER BY d.next_attempt_at, d.id
+     LIMIT ${BATCH_SIZE}`,
+    [now.toISOString()]
+  );
+  for (const delivery of due) {
+    if (await leaseDelivery(conn, delivery, now)) await attemptDelivery(conn, delivery);
+  }
+  return due.length;
+}
+
+// Sends one pending delivery straight away; for test events. Resolves to
+// the updated delivery, or null if it is not pending.
+async function deliverNow(conn, id) {
+  const [delivery] = await conn.query(
+    `SELECT ${DUE_COLUMNS} FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id WHERE d.id = ? AND d.status = 'pending'`,
+    [id]
+  );
+  if (!delivery || !(await leaseDelivery(conn, delivery, new Date()))) return null;
+  return attemptDelivery(conn, delivery);
+}
+
+// Polls for due deliveries in the background. kick() polls straight away,
+// for when an event has just been queued. Returns { kick, stop }.
+function startWebhookWorker(conn) {
+  let running = false;
+  let again = false;
+  let lastCleanup = 0;
+  async function poll() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        let sent;
+        do {
+          sent = await deliverDue(conn);
+        } while (sent === BATCH_SIZE);
+      } while (again);
+      if (Date.now() - lastCleanup > CLEANUP_INTERVAL_MS) {
+        lastCleanup = Date.now();
+        await conn.run(
+          "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < ?",
+          [new Date(Date.now() - DELIVERY_RETENTION_MS).toISOString()]
+        );
+      }
+    } catch (err) {
+      console.error('Webhook delivery failed', err);
+    } finally {
+      running = false;
+    }
+  }
+  const timer = setInterval(poll, POLL_INTERVAL_MS);
+  timer.unref();
+  return {
+    kick: () => setImmediate(poll),
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  signPayload,
+  parseEvents,
+  hasSubscribers,
+  enqueueEvent,
+  deliverNow,
+  startWebhookWorker,
+};
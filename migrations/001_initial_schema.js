@@ -0,0 +1,11 @@
+// Tables that existed before versioned migrations were introduced. They are
+// created only when missing so that older databases adopt this version
+// without changes.
+exports.up = async function up(db) {
+  const { id, date, timestamp } = db.types;
+  await db.run(`CREATE TABLE IF NOT EXISTS employees (id ${id}, name TEXT UNIQUE NOT NULL)`);
+  await db.run(`CREATE TABLE IF NOT EXISTS locations (id ${id}, name TEXT UNIQUE NOT NULL)`);
+  await db.run(`CREATE TABLE IF NOT EXISTS steps (id ${id}, employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE, location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE SET NULL, date ${date} NOT NULL, steps INTEGER NOT NULL, UNIQUE (employee_id, date))`);
+  await db.run(`CREATE TABLE IF NOT EXISTS admin_users (id ${id}, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, salt TEXT NOT NULL)`);
+  await db.run(`CREATE TABLE IF NOT EXISTS admin_sessions (id ${id}, user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE, token TEXT UNIQUE NOT NULL, expires_at ${timestamp} NOT NULL)`);
+};
@@ -0,0 +1,7 @@
+// Competitions and their enrolled locations. Created only when missing
+// because they predate versioned migrations.
+exports.up = async function up(db) {
+  const { id, date } = db.types;
+  await db.run(`CREATE TABLE IF NOT EXISTS competitions (id ${id}, name TEXT UNIQUE NOT NULL, start_date ${date} NOT NULL, end_date ${date} NOT NULL, status TEXT NOT NULL DEFAULT 'open')`);
+  await db.run('CREATE TABLE IF NOT EXISTS competition_locations (competition_id INTEGER NOT NULL REFERENCES competitions(id) ON DELETE CASCADE, location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE, PRIMARY KEY (competition_id, location_id))');
+};
@@ -0,0 +1,6 @@
+// Hashed personal registration links. Created only when missing because
+// the table predates versioned migrations.
+exports.up = async function up(db) {
+  const { timestamp } = db.types;
+  await db.run(`CREATE TABLE IF NOT EXISTS employee_tokens (employee_id INTEGER PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE, token_hash TEXT UNIQUE NOT NULL, created_at ${timestamp} NOT NULL)`);
+};
@@ -0,0 +1,6 @@
+// Admin roles and the locations a location admin or viewer is limited to.
+// Existing admins keep full access by becoming super admins.
+exports.up = async function up(db) {
+  await db.run("ALTER TABLE admin_users ADD COLUMN role TEXT NOT NULL DEFAULT 'super_admin'");
+  await db.run('CREATE TABLE admin_user_locations (user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE, location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE, PRIMARY KEY (user_id, location_id))');
+};
@@ -0,0 +1,6 @@
+// The location an employee belongs to, which decides the location admins
+// allowed to manage them. Filled in from each employee's latest entry.
+exports.up = async function up(db) {
+  await db.run('ALTER TABLE employees ADD COLUMN location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL');
+  await db.run('UPDATE employees SET location_id = (SELECT s.location_id FROM steps s WHERE s.employee_id = employees.id ORDER BY s.date DESC LIMIT 1)');
+};
@@ -0,0 +1,8 @@
+// History of every change made through the API, with the values before and
+// after the change stored as JSON.
+exports.up = async function up(db) {
+  const { id, timestamp } = db.types;
+  await db.run(`CREATE TABLE audit_log (id ${id}, created_at ${timestamp} NOT NULL, actor_type TEXT NOT NULL, actor_id INTEGER, actor TEXT, action TEXT NOT NULL, entity TEXT NOT NULL, entity_id TEXT, old_values TEXT, new_values TEXT, ip TEXT)`);
+  await db.run('CREATE INDEX audit_log_entity ON audit_log (entity, entity_id)');
+  await db.run('CREATE INDEX audit_log_created_at ON audit_log (created_at)');
+};
@@ -0,0 +1,13 @@
+// Moderation of step entries. Only approved entries count in results;
+// entries already stored are approved. Competitions get an optional hard
+// limit per day and a level above which entries are held for review.
+exports.up = async function up(db) {
+  const { timestamp } = db.types;
+  await db.run("ALTER TABLE steps ADD COLUMN status TEXT NOT NULL DEFAULT 'approved'");
+  await db.run('ALTER TABLE steps ADD COLUMN review_reason TEXT');
+  await db.run('ALTER TABLE steps ADD COLUMN reviewed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL');
+  await db.run(`ALTER TABLE steps ADD COLUMN reviewed_at ${timestamp}`);
+  await db.run('CREATE INDEX steps_status ON steps (status)');
+  await db.run('ALTER TABLE competitions ADD COLUMN max_steps INTEGER');
+  await db.run('ALTER TABLE competitions ADD COLUMN review_steps INTEGER');
+};
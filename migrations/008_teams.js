@@ -0,0 +1,7 @@
+// Teams across locations. An employee belongs to at most one team.
+exports.up = async function up(db) {
+  const { id } = db.types;
+  await db.run(`CREATE TABLE teams (id ${id}, name TEXT UNIQUE NOT NULL)`);
+  await db.run('CREATE TABLE team_members (employee_id INTEGER PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE, team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE)');
+  await db.run('CREATE INDEX team_members_team ON team_members (team_id)');
+};
@@ -0,0 +1,23 @@
+// Location history. Each employee gets one assignment starting at their
+// first entry (or today) for the location they belong to now; entries
+// already stored keep the location they were recorded with. Locations can
+// be archived or merged into another instead of being deleted.
+exports.up = async function up(db) {
+  const { id, date, timestamp } = db.types;
+  await db.run(`CREATE TABLE employee_locations (
+    id ${id},
+    employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    location_id INTEGER NOT NULL REFERENCES locations(id),
+    start_date ${date} NOT NULL,
+    UNIQUE (employee_id, start_date)
+  )`);
+  await db.run(
+    `INSERT INTO employee_locations (employee_id, location_id, start_date)
+     SELECT e.id, e.location_id, COALESCE((SELECT MIN(s.date) FROM steps s WHERE s.employee_id = e.id), ?)
+     FROM employees e
+     WHERE e.location_id IS NOT NULL`,
+    [new Date().toISOString().substring(0, 10)]
+  );
+  await db.run(`ALTER TABLE locations ADD COLUMN archived_at ${timestamp}`);
+  await db.run('ALTER TABLE locations ADD COLUMN merged_into INTEGER REFERENCES locations(id)');
+};
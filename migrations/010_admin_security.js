@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Login throttling, password resets and per-hash iteration counts. Existing
+// hashes were made with 10 000 iterations and are upgraded at the next
+// login. Admins whose password is still their email address, as the seeded
+// default admin was created, must choose a new one when they log in.
+exports.up = async function up(db) {
+  const { id, timestamp } = db.types;
+  await db.run('ALTER TABLE admin_users ADD COLUMN password_iterations INTEGER NOT NULL DEFAULT 10000');
+  await db.run('ALTER TABLE admin_users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0');
+  const admins = await db.query('SELECT id, email, password_hash, salt FROM admin_users');
+  for (const admin of admins) {
+    const hash = crypto.pbkdf2Sync(admin.email, admin.salt, 10000, 64, 'sha512').toString('hex');
+    if (hash === admin.password_hash) {
+      await db.run('UPDATE admin_users SET must_change_password = 1 WHERE id = ?', [admin.id]);
+    }
+  }
+  await db.run(`CREATE TABLE login_attempts (
+    id ${id},
+    email TEXT NOT NULL,
+    ip TEXT,
+    succeeded INTEGER NOT NULL,
+    attempted_at ${timestamp} NOT NULL
+  )`);
+  await db.run('CREATE INDEX login_attempts_email ON login_attempts (email, attempted_at)');
+  await db.run('CREATE INDEX login_attempts_ip ON login_attempts (ip, attempted_at)');
+  await db.run(`CREATE TABLE password_resets (
+    id ${id},
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at ${timestamp} NOT NULL,
+    expires_at ${timestamp} NOT NULL,
+    used_at ${timestamp}
+  )`);
+};
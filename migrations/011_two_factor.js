@@ -0,0 +1,24 @@
+// Two-factor authentication for admins: the TOTP secret (set while
+// enrolling, enabled once a code has been confirmed), whether a super admin
+// requires it, single-use recovery codes and the pending second login step.
+exports.up = async function up(db) {
+  const { id, timestamp } = db.types;
+  await db.run('ALTER TABLE admin_users ADD COLUMN totp_secret TEXT');
+  await db.run('ALTER TABLE admin_users ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0');
+  await db.run('ALTER TABLE admin_users ADD COLUMN totp_required INTEGER NOT NULL DEFAULT 0');
+  await db.run('ALTER TABLE admin_users ADD COLUMN totp_last_step INTEGER');
+  await db.run(`CREATE TABLE admin_recovery_codes (
+    id ${id},
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at ${timestamp}
+  )`);
+  await db.run('CREATE INDEX admin_recovery_codes_user ON admin_recovery_codes (user_id)');
+  await db.run(`CREATE TABLE admin_login_challenges (
+    id ${id},
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at ${timestamp} NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0
+  )`);
+};
@@ -0,0 +1,13 @@
+// Admin sessions record when they started and were last used, and from
+// where, so that admins can review and revoke them; expires_at now moves
+// forward while a session is in use. Existing sessions have none of this
+// and are ended, which signs everyone out once.
+exports.up = async function up(db) {
+  const { timestamp } = db.types;
+  await db.run('DELETE FROM admin_sessions');
+  await db.run(`ALTER TABLE admin_sessions ADD COLUMN created_at ${timestamp}`);
+  await db.run(`ALTER TABLE admin_sessions ADD COLUMN last_seen_at ${timestamp}`);
+  await db.run('ALTER TABLE admin_sessions ADD COLUMN ip TEXT');
+  await db.run('ALTER TABLE admin_sessions ADD COLUMN user_agent TEXT');
+  await db.run('CREATE INDEX admin_sessions_user ON admin_sessions (user_id)');
+};
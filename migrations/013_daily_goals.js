@@ -0,0 +1,5 @@
+// A personal daily step goal an employee can set for themselves; without
+// one the default goal applies.
+exports.up = async function up(db) {
+  await db.run('ALTER TABLE employees ADD COLUMN daily_goal INTEGER');
+};
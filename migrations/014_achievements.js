@@ -0,0 +1,17 @@
+// Badges awarded to employees by the rules in lib/achievements.js. `period`
+// is the week start for weekly badges and empty for badges earned once;
+// location_id is set for badges tied to a location.
+exports.up = async function up(db) {
+  const { id, date, timestamp } = db.types;
+  await db.run(`CREATE TABLE employee_achievements (
+    id ${id},
+    employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    period TEXT NOT NULL DEFAULT '',
+    location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+    earned_on ${date} NOT NULL,
+    awarded_at ${timestamp} NOT NULL,
+    UNIQUE (employee_id, code, period)
+  )`);
+  await db.run('CREATE INDEX employee_achievements_code ON employee_achievements (code, period)');
+};
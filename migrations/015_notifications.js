@@ -0,0 +1,25 @@
+// Contact details for reminders and the weekly digest: how an employee
+// wants to be notified (email, slack, teams or none), the address for it
+// and which messages they want. notification_runs records each run of a
+// scheduled job; the unique run_key makes sure a run happens once even
+// with several server instances. Manual runs have no run_key.
+exports.up = async function up(db) {
+  const { id, date, timestamp } = db.types;
+  await db.run('ALTER TABLE employees ADD COLUMN email TEXT');
+  await db.run('ALTER TABLE employees ADD COLUMN chat_webhook_url TEXT');
+  await db.run("ALTER TABLE employees ADD COLUMN notify_via TEXT NOT NULL DEFAULT 'none'");
+  await db.run('ALTER TABLE employees ADD COLUMN reminders_enabled INTEGER NOT NULL DEFAULT 1');
+  await db.run('ALTER TABLE employees ADD COLUMN digest_enabled INTEGER NOT NULL DEFAULT 1');
+  await db.run(`CREATE TABLE notification_runs (
+    id ${id},
+    job TEXT NOT NULL,
+    run_key TEXT,
+    run_date ${date} NOT NULL,
+    started_at ${timestamp} NOT NULL,
+    finished_at ${timestamp},
+    sent INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    UNIQUE (job, run_key)
+  )`);
+};
@@ -0,0 +1,35 @@
+// Outgoing webhooks: subscriptions to events (a comma-separated list), the
+// secret their payloads are signed with, and one delivery row per event and
+// subscription that is retried until it succeeds or gives up.
+// webhook_state keeps what was last published for events derived from
+// other data, such as the leaderboard standings.
+exports.up = async function up(db) {
+  const { id, timestamp } = db.types;
+  await db.run(`CREATE TABLE webhooks (
+    id ${id},
+    url TEXT NOT NULL,
+    description TEXT,
+    events TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at ${timestamp} NOT NULL
+  )`);
+  await db.run(`CREATE TABLE webhook_deliveries (
+    id ${id},
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at ${timestamp},
+    last_attempt_at ${timestamp},
+    response_status INTEGER,
+    error TEXT,
+    created_at ${timestamp} NOT NULL
+  )`);
+  await db.run('CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+  await db.run('CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at)');
+  await db.run('CREATE TABLE webhook_state (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  await db.run("INSERT INTO webhook_state (key, value) VALUES ('leaderboard', '')");
+};
@@ -0,0 +1,5 @@
+// How many days back employees may register or change entries in a
+// competition; without a value the BACKFILL_DAYS default applies.
+exports.up = async function up(db) {
+  await db.run('ALTER TABLE competitions ADD COLUMN backfill_days INTEGER');
+};
@@ -0,0 +1,19 @@
+// Activities other than walking, such as cycling or swimming, converted to
+// steps at steps_per_unit per minute or km. A step entry keeps the activity
+// it was registered with: activity_steps of its steps came from
+// activity_amount of the activity, the rest were walked.
+exports.up = async function up(db) {
+  const { id } = db.types;
+  await db.run(`CREATE TABLE activities (
+    id ${id},
+    name TEXT UNIQUE NOT NULL,
+    unit TEXT NOT NULL,
+    steps_per_unit NUMERIC NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1
+  )`);
+  await db.run('ALTER TABLE steps ADD COLUMN activity_id INTEGER REFERENCES activities(id)');
+  await db.run('ALTER TABLE steps ADD COLUMN activity_amount NUMERIC');
+  await db.run('ALTER TABLE steps ADD COLUMN activity_steps INTEGER');
+  await db.run("INSERT INTO activities (name, unit, steps_per_unit) VALUES ('Sykling', 'minutes', 150)");
+  await db.run("INSERT INTO activities (name, unit, steps_per_unit) VALUES ('Svømming', 'minutes', 170)");
+};
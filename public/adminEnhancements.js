@@ -1,13 +1,45 @@
-// Enhancements for admin steps table: sorting and filtering
-let allSteps = [];
+// Enhancements for admin steps table: server-side sorting, filtering and paging
 let currentSortField = 'date';
-let currentSortAsc = true;
+let currentSortAsc = false;
+let currentPage = 1;
+const pageSize = 50;
 
-// Override loadSteps to fetch data and render table
+// Query parameters for the filters currently entered above the table
+function stepsFilterParams() {
+  const params = new URLSearchParams();
+  const competitionId = document.getElementById('stepsCompetition')?.value;
+  if (competitionId) params.set('competitionId', competitionId);
+  const status = document.getElementById('stepsStatus')?.value;
+  if (status) params.set('status', status);
+  const filters = {
+    from: 'filterFrom',
+    to: 'filterTo',
+    employee: 'filterEmployee',
+    location: 'filterLocation',
+    minSteps: 'filterMinSteps',
+    maxSteps: 'filterMaxSteps',
+  };
+  Object.keys(filters).forEach(key => {
+    const value = document.getElementById(filters[key])?.value.trim();
+    if (value) params.set(key, value);
+  });
+  return params;
+}
+
+// Fetch the current page from the server and render it
 async function loadSteps() {
-  const res = await fetch('/admin/steps');
-  allSteps = await res.json();
-  renderStepsTable();
+  const params = stepsFilterParams();
+  params.set('sort', currentSortField);
+  params.set('order', currentSortAsc ? 'asc' : 'desc');
+  params.set('page', currentPage);
+  params.set('pageSize', pageSize);
+  const res = await fetch('/admin/steps?' + params.toString());
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.error || 'Klarte ikke å laste registreringer');
+    return;
+  }
+  renderStepsTable(data);
 }
 
 // Set sorting field and toggle asc/desc
@@ -18,80 +50,120 @@ function setSort(field) {
     currentSortField = field;
     currentSortAsc = true;
   }
-  renderStepsTable();
+  currentPage = 1;
+  loadSteps();
 }
 
-// Filter function based on inputs
-function filterSteps(data) {
-  const dateFilter = document.getElementById('filterDate')?.value.toLowerCase() || '';
-  const employeeFilter = document.getElementById('filterEmployee')?.value.toLowerCase() || '';
-  const locationFilter = document.getElementById('filterLocation')?.value.toLowerCase() || '';
-  const stepsFilter = document.getElementById('filterSteps')?.value;
-  return data.filter(item => {
-    let ok = true;
-    if (dateFilter) ok = ok && item.date.includes(dateFilter);
-    if (employeeFilter) ok = ok && item.employee_name.toLowerCase().includes(employeeFilter);
-    if (locationFilter) ok = ok && item.location_name.toLowerCase().includes(locationFilter);
-    if (stepsFilter) ok = ok && item.steps == parseInt(stepsFilter);
-    return ok;
-  });
+function setPage(page) {
+  currentPage = page;
+  loadSteps();
 }
 
-// Render steps table with sorting and filtering
-function renderStepsTable() {
-  let data = filterSteps([...allSteps]);
-  data.sort((a, b) => {
-    let valA = a[currentSortField];
-    let valB = b[currentSortField];
-    if (currentSortField === 'steps') {
-      valA = Number(valA);
-      valB = Number(valB);
-    } else {
-      valA = valA.toString().toLowerCase();
-      valB = valB.toString().toLowerCase();
-    }
-    if (valA < valB) return currentSortAsc ? -1 : 1;
-    if (valA > valB) return currentSortAsc ? 1 : -1;
-    return 0;
-  });
+const STATUS_LABELS = { pending: 'venter', rejected: 'avvist' };
+const ACTIVITY_UNIT_LABELS = { minutes: 'min', km: 'km' };
+
+// How an entry registered with an activity adds up, e.g. "4000 gått + Sykling 30 min (4500)"
+function activityBreakdown(entry) {
+  if (entry.activity_steps === null || entry.activity_steps === undefined) return '';
+  const walked = Math.max(0, entry.steps - entry.activity_steps);
+  const unit = ACTIVITY_UNIT_LABELS[entry.activity_unit] || entry.activity_unit;
+  return `${walked} gått + ${entry.activity_name} ${entry.activity_amount} ${unit} (${entry.activity_steps})`;
+}
+
+// Render one page of steps together with paging and the summary
+function renderStepsTable(data) {
   const tbody = document.querySelector('#stepsTable tbody');
   if (!tbody) return;
   tbody.innerHTML = '';
-  data.forEach(entry => {
+  data.rows.forEach(entry => {
     const tr = document.createElement('tr');
+    tr.dataset.id = entry.id;
     tr.innerHTML = `
       <td class="p-2 whitespace-nowrap">${entry.date}</td>
       <td class="p-2 whitespace-nowrap">${entry.employee_name}</td>
       <td class="p-2 whitespace-nowrap">${entry.location_name}</td>
-      <td class="p-2 whitespace-nowrap text-right">${entry.steps}</td>
+      <td class="p-2 whitespace-nowrap text-right">
+        ${entry.steps}
+        ${STATUS_LABELS[entry.status] ? `<span class="ml-1 text-xs ${entry.status === 'pending' ? 'text-yellow-700' : 'text-red-600'}">(${STATUS_LABELS[entry.status]})</span>` : ''}
+        ${activityBreakdown(entry) ? `<div class="text-xs text-gray-500">${activityBreakdown(entry)}</div>` : ''}
+      </td>
       <td class="p-2 text-center whitespace-nowrap">
-        <button class="text-blue-600 hover:underline" onclick="editStep(${entry.id}, ${entry.steps})">Rediger</button>
+        ${typeof canManage !== 'function' || canManage() ? `<button class="text-blue-600 hover:underline" onclick="editStep(${entry.id}, ${entry.steps})">Rediger</button>` : ''}
       </td>
     `;
     tbody.appendChild(tr);
   });
+  renderPager(data);
+  document.querySelectorAll('#stepsTable th[data-sort]').forEach(th => {
+    const arrow = th.dataset.sort === currentSortField ? (currentSortAsc ? ' ▲' : ' ▼') : '';
+    th.textContent = th.dataset.label + arrow;
+  });
   if (typeof computeSummary === 'function') {
-    computeSummary(data);
+    computeSummary(data.summary);
   }
 }
 
-// On DOMContentLoaded, add filter row and event listeners
-if (typeof document !== 'undefined') {
-  document.addEventListener('DOMContentLoaded', () => {
-    const thead = document.querySelector('#stepsTable thead');
-    if (thead && !document.getElementById('filterDate')) {
-      const filterRow = document.createElement('tr');
-      filterRow.innerHTML = `
-        <th><input id="filterDate" type="text" class="w-full p-1 border border-gray-300" placeholder="Filter dato"></th>
-        <th><input id="filterEmployee" type="text" class="w-full p-1 border border-gray-300" placeholder="Filter ansatt"></th>
-        <th><input id="filterLocation" type="text" class="w-full p-1 border border-gray-300" placeholder="Filter lokasjon"></th>
-        <th><input id="filterSteps" type="number" class="w-full p-1 border border-gray-300" placeholder="Filter skritt"></th>
-        <th></th>
-      `;
-      thead.appendChild(filterRow);
-      ['filterDate','filterEmployee','filterLocation','filterSteps'].forEach(id => {
-        document.getElementById(id).addEventListener('input', renderStepsTable);
+function renderPager(data) {
+  const pager = document.getElementById('stepsPager');
+  if (!pager) return;
+  const first = data.total === 0 ? 0 : (data.page - 1) * data.pageSize + 1;
+  const last = Math.min(data.total, data.page * data.pageSize);
+  pager.innerHTML = `
+    <span>${first}–${last} av ${data.total}</span>
+    <button class="text-blue-600 hover:underline disabled:text-gray-400" ${data.page <= 1 ? 'disabled' : ''} onclick="setPage(${data.page - 1})">Forrige</button>
+    <button class="text-blue-600 hover:underline disabled:text-gray-400" ${data.page >= data.pages ? 'disabled' : ''} onclick="setPage(${data.page + 1})">Neste</button>
+  `;
+}
+
+// Add sortable headers, filter row and pager to the steps table
+function setupStepsTable() {
+  const thead = document.querySelector('#stepsTable thead');
+  if (thead && !document.getElementById('filterFrom')) {
+    const fields = ['date', 'employee', 'location', 'steps'];
+    thead.querySelectorAll('tr:first-child th').forEach((th, i) => {
+      if (!fields[i]) return;
+      th.dataset.sort = fields[i];
+      th.dataset.label = th.textContent;
+      th.classList.add('cursor-pointer');
+      th.addEventListener('click', () => setSort(fields[i]));
+    });
+    const filterRow = document.createElement('tr');
+    filterRow.innerHTML = `
+      <th class="whitespace-nowrap">
+        <input id="filterFrom" type="date" class="p-1 border border-gray-300" title="Fra dato">
+        <input id="filterTo" type="date" class="p-1 border border-gray-300" title="Til dato">
+      </th>
+      <th><input id="filterEmployee" type="text" class="w-full p-1 border border-gray-300" placeholder="Filter ansatt"></th>
+      <th><input id="filterLocation" type="text" class="w-full p-1 border border-gray-300" placeholder="Filter lokasjon"></th>
+      <th class="whitespace-nowrap">
+        <input id="filterMinSteps" type="number" min="0" class="w-24 p-1 border border-gray-300" placeholder="Min">
+        <input id="filterMaxSteps" type="number" min="0" class="w-24 p-1 border border-gray-300" placeholder="Maks">
+      </th>
+      <th></th>
+    `;
+    thead.appendChild(filterRow);
+    let timer;
+    ['filterFrom', 'filterTo', 'filterEmployee', 'filterLocation', 'filterMinSteps', 'filterMaxSteps'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          currentPage = 1;
+          loadSteps();
+        }, 300);
       });
-    }
-  });
+    });
+  }
+  const table = document.getElementById('stepsTable');
+  if (table && !document.getElementById('stepsPager')) {
+    const pager = document.createElement('div');
+    pager.id = 'stepsPager';
+    pager.className = 'flex items-center gap-4 mt-2 text-sm';
+    table.parentElement.after(pager);
+  }
+}
+
+// Set up as soon as the table exists, before the first page is loaded
+if (typeof document !== 'undefined') {
+  if (document.getElementById('stepsTable')) setupStepsTable();
+  else document.addEventListener('DOMContentLoaded', setupStepsTable);
 }
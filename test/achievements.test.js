@@ -0,0 +1,88 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, signInAsDefaultAdmin } = require('./helpers/server');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('achievements', () => {
+  let server;
+  let admin;
+  before(async () => {
+    server = await startServer();
+    admin = createClient(server.url);
+    await signInAsDefaultAdmin(admin);
+    for (const name of ['Oslo', 'Bergen', 'Trondheim']) {
+      assert.equal((await admin.post('/admin/locations', { name })).status, 200);
+    }
+    const competition = await admin.post('/admin/competitions', { name: 'Høst', startDate: daysAgo(30), endDate: daysAgo(-30), reviewSteps: 15000 });
+    assert.equal(competition.status, 200);
+  });
+  after(() => server.stop());
+
+  // Creates an employee and returns their id and a client signed in with
+  // their personal link.
+  async function addEmployee(name, locationId) {
+    assert.equal((await admin.post('/admin/employees', { name, locationId })).status, 200);
+    const { id } = (await admin.get('/admin/employees')).body.find(e => e.name === name);
+    const link = await admin.post(`/admin/employees/${id}/link`);
+    const client = createClient(server.url);
+    assert.equal((await client.post('/api/identity', { token: link.body.token })).status, 200);
+    return { id, client };
+  }
+  async function badges(employeeId) {
+    const res = await createClient(server.url).get(`/api/employees/${employeeId}/achievements`);
+    assert.equal(res.status, 200);
+    return res.body.map(b => b.code).sort();
+  }
+  async function entryOf(employeeId, date) {
+    const { rows } = (await admin.get('/admin/steps?competitionId=all&pageSize=100')).body;
+    return rows.find(s => s.employee_id === employeeId && s.date === date);
+  }
+
+  test('are awarded with the entry that earns them', async () => {
+    const kari = await addEmployee('Kari', 1);
+    const res = await kari.client.post('/api/steps', { date: daysAgo(1), steps: 12000 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.achievements.map(b => b.code).sort(), ['first_10k', 'top3_location_week']);
+    assert.deepEqual((await kari.client.get('/api/me/achievements')).body.map(b => b.code).sort(), ['first_10k', 'top3_location_week']);
+  });
+
+  test('only count approved entries', async () => {
+    const ola = await addEmployee('Ola', 3);
+    const res = await ola.client.post('/api/steps', { date: daysAgo(2), steps: 21000 });
+    assert.equal(res.body.status, 'pending');
+    assert.deepEqual(res.body.achievements, []);
+    assert.deepEqual(await badges(ola.id), []);
+
+    const entry = await entryOf(ola.id, daysAgo(2));
+    assert.equal((await admin.post(`/admin/review/${entry.id}/approve`)).status, 200);
+    assert.deepEqual(await badges(ola.id), ['day_20k', 'first_10k', 'top3_location_week']);
+  });
+
+  test('are withdrawn when the entry behind them is corrected', async () => {
+    const per = await addEmployee('Per', 1);
+    await per.client.post('/api/steps', { date: daysAgo(3), steps: 11000 });
+    assert.ok((await badges(per.id)).includes('first_10k'));
+
+    const entry = await entryOf(per.id, daysAgo(3));
+    assert.equal((await admin.put(`/admin/steps/${entry.id}`, { steps: 9000 })).status, 200);
+    assert.ok(!(await badges(per.id)).includes('first_10k'));
+  });
+
+  test('weekly places are given again when a colleague is deleted', async () => {
+    const team = [];
+    for (const [name, steps] of [['Anne', 1000], ['Bjørn', 2000], ['Cecilie', 3000], ['Dag', 4000]]) {
+      const employee = await addEmployee(name, 2);
+      assert.equal((await employee.client.post('/api/steps', { date: daysAgo(1), steps })).status, 200);
+      team.push(employee);
+    }
+    assert.ok(!(await badges(team[0].id)).includes('top3_location_week'));
+
+    assert.equal((await admin.delete(`/admin/employees/${team[3].id}`)).status, 200);
+    assert.ok((await badges(team[0].id)).includes('top3_location_week'));
+  });
+
+  test('of an unknown employee are not found', async () => {
+    assert.equal((await createClient(server.url).get('/api/employees/999/achievements')).status, 404);
+  });
+});
@@ -0,0 +1,107 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+const { DEFAULT_ADMIN, ADMIN_PASSWORD, startServer, createClient, signInAsDefaultAdmin } = require('./helpers/server');
+
+async function waitFor(check, what) {
+  for (let i = 0; i < 50; i++) {
+    const value = check();
+    if (value) return value;
+    await delay(100);
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+describe('admin login', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.stop());
+
+  test('rejects credentials that are not strings', async () => {
+    const client = createClient(server.url);
+    for (const body of [
+      { email: [DEFAULT_ADMIN], password: DEFAULT_ADMIN },
+      { email: DEFAULT_ADMIN, password: { length: 20 } },
+      { email: DEFAULT_ADMIN },
+    ]) {
+      const res = await client.post('/admin/login', body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+    }
+  });
+
+  test('requires the seeded password to be replaced with one meeting the policy', async () => {
+    const client = createClient(server.url);
+    const login = await client.post('/admin/login', { email: DEFAULT_ADMIN, password: DEFAULT_ADMIN });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.mustChangePassword, true);
+    assert.equal((await client.get('/admin/employees')).status, 403);
+
+    for (const newPassword of ['for kort', `${DEFAULT_ADMIN}!`, 'aaaabbbbaaaabbbb']) {
+      const res = await client.post('/admin/password', { currentPassword: DEFAULT_ADMIN, newPassword });
+      assert.equal(res.status, 400, newPassword);
+    }
+    const wrong = await client.post('/admin/password', { currentPassword: 'feil passord her', newPassword: ADMIN_PASSWORD });
+    assert.equal(wrong.status, 401);
+
+    const change = await client.post('/admin/password', { currentPassword: DEFAULT_ADMIN, newPassword: ADMIN_PASSWORD });
+    assert.equal(change.status, 200);
+    assert.equal((await client.get('/admin/employees')).status, 200);
+  });
+
+  test('locks an account after repeated failures, even for the right password', async () => {
+    const client = createClient(server.url);
+    const email = 'sperret@example.com';
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await client.post('/admin/login', { email, password: `feil passord ${i}` })).status, 401);
+    }
+    const locked = await client.post('/admin/login', { email, password: 'feil passord 5' });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  });
+});
+
+describe('password reset', () => {
+  test('sends no email when PUBLIC_URL is not set', async () => {
+    const server = await startServer();
+    try {
+      const client = createClient(server.url);
+      const res = await client.post('/admin/password-reset', { email: DEFAULT_ADMIN }, { 'X-Forwarded-Host': 'angriper.example' });
+      assert.equal(res.status, 200);
+      await waitFor(() => server.output().includes('PUBLIC_URL is not set'), 'the missing PUBLIC_URL to be logged');
+      assert.equal(server.mail(), '');
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('rejects an address that is not a string', async () => {
+    const server = await startServer({ PUBLIC_URL: 'https://skritt.example' });
+    try {
+      const res = await createClient(server.url).post('/admin/password-reset', { email: { $ne: '' } });
+      assert.equal(res.status, 400);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('mails a single-use link under PUBLIC_URL that sets a new password', async () => {
+    const server = await startServer({ PUBLIC_URL: 'https://skritt.example/' });
+    try {
+      const client = createClient(server.url);
+      await signInAsDefaultAdmin(client);
+      assert.equal((await client.post('/admin/password-reset', { email: DEFAULT_ADMIN.toUpperCase() })).status, 200);
+      const mail = await waitFor(() => server.mail(), 'the reset email');
+      const [, token] = mail.match(/https:\/\/skritt\.example\/admin\.html\?reset=(\w+)/);
+
+      const newPassword = 'Et helt nytt passord';
+      const confirm = await client.post('/admin/password-reset/confirm', { token, password: newPassword });
+      assert.equal(confirm.status, 200);
+      assert.equal((await client.get('/admin/employees')).status, 401);
+      const reuse = await client.post('/admin/password-reset/confirm', { token, password: 'Enda et nytt passord' });
+      assert.equal(reuse.status, 400);
+      assert.equal((await client.post('/admin/login', { email: DEFAULT_ADMIN, password: newPassword })).status, 200);
+    } finally {
+      await server.stop();
+    }
+  });
+});
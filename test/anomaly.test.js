@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { median, findHighOutlier } = require('../lib/anomaly');
+
+test('median', () => {
+  assert.equal(median([]), null);
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+});
+
+const SAMPLE = [10000, 11000, 9000, 10500, 9500];
+
+test('findHighOutlier reports the modified z-score of a high value', () => {
+  // The median is 10000 and the median absolute deviation 500
+  const result = findHighOutlier(20000, SAMPLE);
+  assert.equal(result.median, 10000);
+  assert.ok(Math.abs(result.score - (0.6745 * 10000) / 500) < 1e-9);
+});
+
+test('findHighOutlier ignores ordinary and low values', () => {
+  assert.equal(findHighOutlier(10800, SAMPLE), null);
+  assert.equal(findHighOutlier(2000, SAMPLE), null);
+});
+
+test('findHighOutlier needs minSamples values', () => {
+  assert.equal(findHighOutlier(20000, SAMPLE.slice(0, 4)), null);
+  assert.ok(findHighOutlier(20000, SAMPLE.slice(0, 4), { minSamples: 4 }));
+});
+
+test('findHighOutlier requires minRatio times the median', () => {
+  assert.ok(findHighOutlier(14000, SAMPLE));
+  assert.equal(findHighOutlier(14000, SAMPLE, { minRatio: 1.5 }), null);
+});
+
+test('findHighOutlier falls back when most of the sample is identical', () => {
+  // The median absolute deviation is 0; the mean absolute deviation is 800
+  const result = findHighOutlier(20000, [5000, 5000, 5000, 5000, 9000]);
+  assert.ok(Math.abs(result.score - 15000 / (1.253314 * 800)) < 1e-9);
+  // With no deviation at all, only more than twice the median counts
+  assert.equal(findHighOutlier(11000, [5000, 5000, 5000, 5000, 5000]).score, Infinity);
+  assert.equal(findHighOutlier(9000, [5000, 5000, 5000, 5000, 5000]), null);
+});
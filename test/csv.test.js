@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatCsvRow } = require('../lib/csv');
+
+test('formatCsvRow quotes values with commas, quotes and line breaks', () => {
+  assert.equal(
+    formatCsvRow(['Oslo', 'Berg, Kari', 'Sa "hei"', 'to\nlinjer', 'a\rb']),
+    'Oslo,"Berg, Kari","Sa ""hei""","to\nlinjer","a\rb"\r\n'
+  );
+});
+
+test('formatCsvRow writes empty values, numbers and dates', () => {
+  assert.equal(formatCsvRow([null, undefined, '', 0, 12345]), ',,,0,12345\r\n');
+  assert.equal(formatCsvRow([new Date('2026-10-18T12:00:00Z')]), '2026-10-18T12:00:00.000Z\r\n');
+});
+
+test('parseCsv reads what formatCsvRow writes', () => {
+  const rows = [['navn', 'kommentar'], ['Kari', 'Sa "hei", og gikk\ntil jobb']];
+  assert.deepEqual(parseCsv(rows.map(formatCsvRow).join('')), rows);
+});
+
+test('parseCsv detects semicolons and skips the byte order mark and blank lines', () => {
+  assert.deepEqual(parseCsv('\uFEFFnavn;skritt\r\n\r\nKari;"1;000"\nOla;2000\n'), [
+    ['navn', 'skritt'],
+    ['Kari', '1;000'],
+    ['Ola', '2000'],
+  ]);
+});
+
+test('parseCsv keeps empty fields within a row', () => {
+  assert.deepEqual(parseCsv('a,,c\n,b,'), [['a', '', 'c'], ['', 'b', '']]);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toPgPlaceholders } = require('../lib/db');
+
+test('toPgPlaceholders numbers the placeholders in order', () => {
+  assert.equal(
+    toPgPlaceholders('SELECT * FROM steps WHERE employee_id = ? AND date >= ? AND date <= ?'),
+    'SELECT * FROM steps WHERE employee_id = $1 AND date >= $2 AND date <= $3'
+  );
+});
+
+test('toPgPlaceholders leaves quoted strings and identifiers alone', () => {
+  assert.equal(
+    toPgPlaceholders(`SELECT 'what?' AS "who?", ? FROM t WHERE status = 'approved' AND id = ?`),
+    `SELECT 'what?' AS "who?", $1 FROM t WHERE status = 'approved' AND id = $2`
+  );
+});
+
+test('toPgPlaceholders handles escaped quotes', () => {
+  assert.equal(toPgPlaceholders("SELECT 'it''s?' WHERE a = ?"), "SELECT 'it''s?' WHERE a = $1");
+});
@@ -0,0 +1,147 @@
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+/*
+ * Helpers for tests that go through the HTTP routes.
+ *
+ * startServer(env) runs app.js on a free port with its own SQLite file and
+ * mail log in a temporary directory, so every server starts from an empty
+ * database with only the default admin. createClient(url) keeps the cookies
+ * the server sets, like a browser would, and sends the session's CSRF token
+ * with requests that change data, fetched from /admin/check or /api/me as
+ * the pages do. An X-CSRF-Token header passed in replaces it.
+ */
+
+const DEFAULT_ADMIN = 'frede.ousland@hepro.no';
+const ADMIN_PASSWORD = 'Korrekt hest batteri';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skritt-test-'));
+  const port = await freePort();
+  const mailFile = path.join(dir, 'mail.log');
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'app.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_URL: '',
+      SQLITE_FILE: path.join(dir, 'data.db'),
+      MAIL_TRANSPORT: 'file',
+      MAIL_FILE: mailFile,
+      PUBLIC_URL: '',
+      TRUST_PROXY: '',
+      REMINDER_TIME: 'off',
+      DIGEST_TIME: 'off',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+      child.stdout.on('data', () => {
+        if (output.includes('Server listening')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      child.on('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with code ${code}:\n${output}`));
+      });
+    });
+  } catch (err) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    mail: () => (fs.existsSync(mailFile) ? fs.readFileSync(mailFile, 'utf8') : ''),
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, 'exit');
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+function createClient(baseUrl) {
+  const cookies = {};
+  const csrfTokens = {};
+  async function csrfToken(urlPath) {
+    const [cookie, checkPath] = urlPath.startsWith('/admin') ? ['admin_token', '/admin/check'] : ['employee_token', '/api/me'];
+    if (!cookies[cookie]) return null;
+    if (!csrfTokens[cookie] || csrfTokens[cookie].session !== cookies[cookie]) {
+      const check = await request('GET', checkPath);
+      csrfTokens[cookie] = { session: cookies[cookie], token: check.body.csrfToken };
+    }
+    return csrfTokens[cookie].token;
+  }
+  async function request(method, urlPath, body, headers = {}) {
+    const token = method === 'GET' ? null : await csrfToken(urlPath);
+    const res = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { 'X-CSRF-Token': token } : {}),
+        Cookie: Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; '),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      const name = pair.slice(0, pair.indexOf('='));
+      if (/max-age=0\b/i.test(cookie)) delete cookies[name];
+      else cookies[name] = pair.slice(pair.indexOf('=') + 1);
+    }
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Not JSON; keep the text.
+    }
+    return { status: res.status, headers: res.headers, body: data };
+  }
+  return {
+    cookies,
+    get: (urlPath, headers) => request('GET', urlPath, undefined, headers),
+    post: (urlPath, body, headers) => request('POST', urlPath, body, headers),
+    put: (urlPath, body, headers) => request('PUT', urlPath, body, headers),
+    delete: (urlPath, headers) => request('DELETE', urlPath, undefined, headers),
+  };
+}
+
+// Logs in as the default admin and replaces its seeded password, which
+// has to happen before any other admin route can be used.
+async function signInAsDefaultAdmin(client) {
+  const login = await client.post('/admin/login', { email: DEFAULT_ADMIN, password: DEFAULT_ADMIN });
+  if (login.status !== 200) throw new Error(`Login failed: ${JSON.stringify(login.body)}`);
+  const change = await client.post('/admin/password', { currentPassword: DEFAULT_ADMIN, newPassword: ADMIN_PASSWORD });
+  if (change.status !== 200) throw new Error(`Password change failed: ${JSON.stringify(change.body)}`);
+}
+
+module.exports = { DEFAULT_ADMIN, ADMIN_PASSWORD, startServer, createClient, signInAsDefaultAdmin };
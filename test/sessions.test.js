@@ -0,0 +1,113 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_ADMIN, ADMIN_PASSWORD, startServer, createClient, signInAsDefaultAdmin } = require('./helpers/server');
+
+async function signIn(server, email, password, headers) {
+  const client = createClient(server.url);
+  const login = await client.post('/admin/login', { email, password }, headers);
+  assert.equal(login.status, 200);
+  return client;
+}
+
+describe('CSRF tokens', () => {
+  let server;
+  let admin;
+  before(async () => {
+    server = await startServer();
+    admin = createClient(server.url);
+    await signInAsDefaultAdmin(admin);
+  });
+  after(() => server.stop());
+
+  test('admin changes need the session token', async () => {
+    assert.equal((await admin.post('/admin/locations', { name: 'Oslo' }, { 'X-CSRF-Token': '' })).status, 403);
+    assert.equal((await admin.post('/admin/locations', { name: 'Oslo' }, { 'X-CSRF-Token': 'a'.repeat(64) })).status, 403);
+    assert.equal((await admin.post('/admin/locations', { name: 'Oslo' })).status, 200);
+    assert.equal((await admin.get('/admin/locations')).status, 200);
+  });
+
+  test('employee entries need the token of their own cookie', async () => {
+    assert.equal((await admin.post('/admin/employees', { name: 'Kari', locationId: 1 })).status, 200);
+    const employee = (await admin.get('/admin/employees')).body.find(e => e.name === 'Kari');
+    const link = await admin.post(`/admin/employees/${employee.id}/link`);
+    const client = createClient(server.url);
+    assert.equal((await client.post('/api/identity', { token: link.body.token })).status, 200);
+
+    const entry = { locationId: 1, date: new Date().toISOString().slice(0, 10), steps: 5000 };
+    assert.equal((await client.post('/api/steps', entry, { 'X-CSRF-Token': '' })).status, 403);
+    const adminToken = (await admin.get('/admin/check')).body.csrfToken;
+    assert.equal((await client.post('/api/steps', entry, { 'X-CSRF-Token': adminToken })).status, 403);
+    assert.equal((await client.post('/api/steps', entry)).status, 200);
+  });
+});
+
+describe('admin sessions', () => {
+  let server;
+  let viewerPassword;
+  before(async () => {
+    server = await startServer();
+    const admin = createClient(server.url);
+    await signInAsDefaultAdmin(admin);
+    viewerPassword = 'Bare titting her';
+    const created = await admin.post('/admin/users', { email: 'leser@example.com', password: 'Midlertidig passord 1', role: 'viewer' });
+    assert.equal(created.status, 200);
+    const viewer = await signIn(server, 'leser@example.com', 'Midlertidig passord 1');
+    assert.equal((await viewer.post('/admin/password', { currentPassword: 'Midlertidig passord 1', newPassword: viewerPassword })).status, 200);
+  });
+  after(() => server.stop());
+
+  test('record the connecting address, not X-Forwarded-For', async () => {
+    const client = await signIn(server, DEFAULT_ADMIN, ADMIN_PASSWORD, { 'X-Forwarded-For': '203.0.113.9' });
+    const sessions = (await client.get('/admin/sessions')).body;
+    const current = sessions.find(s => s.current);
+    assert.ok(current);
+    assert.notEqual(current.ip, '203.0.113.9');
+    assert.match(current.ip, /127\.0\.0\.1/);
+  });
+
+  test('can be revoked one at a time or all but the current one', async () => {
+    const first = await signIn(server, DEFAULT_ADMIN, ADMIN_PASSWORD);
+    const second = await signIn(server, DEFAULT_ADMIN, ADMIN_PASSWORD);
+    const third = await signIn(server, DEFAULT_ADMIN, ADMIN_PASSWORD);
+
+    const other = (await first.get('/admin/sessions')).body.find(s => !s.current);
+    assert.equal((await first.delete(`/admin/sessions/${other.id}`)).status, 200);
+    const stillIn = await Promise.all([first, second, third].map(async c => (await c.get('/admin/employees')).status));
+    assert.equal(stillIn.filter(status => status === 401).length, 1);
+
+    const revoked = await first.delete('/admin/sessions');
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.revoked >= 1);
+    assert.equal((await first.get('/admin/employees')).status, 200);
+    assert.equal((await second.get('/admin/employees')).status, 401);
+    assert.equal((await third.get('/admin/employees')).status, 401);
+  });
+
+  test("other admins' sessions are only visible to super admins", async () => {
+    const admin = await signIn(server, DEFAULT_ADMIN, ADMIN_PASSWORD);
+    const viewer = await signIn(server, 'leser@example.com', viewerPassword);
+    assert.equal((await viewer.get('/admin/sessions?all=true')).status, 403);
+    const adminSession = (await admin.get('/admin/sessions')).body.find(s => s.current);
+    assert.equal((await viewer.delete(`/admin/sessions/${adminSession.id}`)).status, 404);
+    assert.equal((await admin.get('/admin/employees')).status, 200);
+
+    const all = (await admin.get('/admin/sessions?all=true')).body;
+    assert.ok(all.some(s => s.email === 'leser@example.com'));
+  });
+});
+
+describe('behind a proxy', () => {
+  test('X-Forwarded-For is used when TRUST_PROXY is set', async () => {
+    const server = await startServer({ TRUST_PROXY: '1' });
+    try {
+      const client = createClient(server.url);
+      await signInAsDefaultAdmin(client);
+      const login = await client.post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD }, { 'X-Forwarded-For': '203.0.113.9' });
+      assert.equal(login.status, 200);
+      const sessions = (await client.get('/admin/sessions')).body;
+      assert.equal(sessions.find(s => s.current).ip, '203.0.113.9');
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStatistics } = require('../lib/statistics');
+
+const LOCATIONS = [{ id: 1, name: 'Oslo' }, { id: 2, name: 'Bergen' }];
+const EMPLOYEES = [{ id: 1, name: 'Kari' }, { id: 2, name: 'Ola' }, { id: 3, name: 'Per' }];
+const ASSIGNMENTS = [
+  { employee_id: 1, location_id: 1, start_date: '2026-10-01' },
+  { employee_id: 2, location_id: 1, start_date: '2026-10-01' },
+  { employee_id: 3, location_id: 2, start_date: '2026-10-01' },
+];
+const ENTRIES = [
+  { employee_id: 1, location_id: 1, date: '2026-10-14', steps: 5000, activity_steps: 0 },
+  { employee_id: 1, location_id: 1, date: '2026-10-15', steps: 7000, activity_steps: 1500 },
+  { employee_id: 2, location_id: 1, date: '2026-10-14', steps: 3000, activity_steps: 0 },
+];
+function compute(options) {
+  return computeStatistics({
+    from: '2026-10-14',
+    to: '2026-10-15',
+    interval: 'day',
+    groupBy: 'location',
+    entries: ENTRIES,
+    employees: EMPLOYEES,
+    assignments: ASSIGNMENTS,
+    locations: LOCATIONS,
+    ...options,
+  });
+}
+const group = (result, name) => result.groups.find(g => g.name === name);
+
+test('daily buckets per location', () => {
+  const result = compute();
+  assert.deepEqual(result.buckets, ['2026-10-14', '2026-10-15']);
+  assert.deepEqual(result.groups.map(g => g.name), ['Bergen', 'Oslo']);
+  const [first, second] = group(result, 'Oslo').points;
+  assert.equal(first.total, 8000);
+  assert.equal(first.entries, 2);
+  assert.equal(first.enrolled_days, 2);
+  assert.equal(first.average, 4000);
+  assert.equal(first.median, 4000);
+  assert.equal(first.participation, 1);
+  assert.equal(second.total, 7000);
+  assert.equal(second.activity_steps, 1500);
+  assert.equal(second.average, 3500);
+  assert.equal(second.participation, 0.5);
+  // Bergen is enrolled but has no entries
+  assert.equal(group(result, 'Bergen').summary.average, 0);
+  assert.equal(group(result, 'Bergen').summary.median, null);
+  // Everyone together: 15000 steps over 3 employees for 2 days
+  assert.equal(result.overall.summary.total, 15000);
+  assert.equal(result.overall.summary.enrolled, 3);
+  assert.equal(result.overall.summary.average, 2500);
+});
+
+test('weekly buckets start on Monday and are clipped to the range', () => {
+  const result = compute({ from: '2026-10-14', to: '2026-10-20', interval: 'week' });
+  assert.deepEqual(result.buckets, ['2026-10-12', '2026-10-19']);
+  const [first, second] = result.overall.points;
+  assert.deepEqual([first.start, first.end], ['2026-10-14', '2026-10-18']);
+  assert.deepEqual([second.start, second.end], ['2026-10-19', '2026-10-20']);
+  assert.equal(first.total, 15000);
+  assert.equal(first.enrolled_days, 15);
+  assert.equal(second.total, 0);
+});
+
+test('monthly buckets', () => {
+  const result = compute({ from: '2026-09-29', to: '2026-10-15', interval: 'month' });
+  assert.deepEqual(result.buckets, ['2026-09-01', '2026-10-01']);
+  assert.deepEqual(result.overall.points.map(p => p.start), ['2026-09-29', '2026-10-01']);
+  // Nobody is enrolled before their first assignment
+  assert.equal(result.overall.points[0].enrolled_days, 0);
+  assert.equal(result.overall.points[0].average, null);
+  assert.equal(result.overall.points[1].total, 15000);
+});
+
+test('the rolling average does not reach back before the data', () => {
+  const oslo = group(compute(), 'Oslo');
+  // Two days of two employees, not seven
+  assert.equal(oslo.summary.rolling_average, Math.round(15000 / 4));
+  assert.equal(oslo.points[0].rolling_average, 4000);
+});
+
+test('the rolling average reaches back to since', () => {
+  const oslo = group(compute({ since: '2026-10-10' }), 'Oslo');
+  assert.equal(oslo.summary.rolling_average, Math.round(15000 / 12));
+});
+
+test('a competition starting today has the same rolling average as average', () => {
+  const result = compute({
+    from: '2026-10-14',
+    to: '2026-10-14',
+    since: '2026-10-14',
+    entries: [
+      { employee_id: 1, location_id: 1, date: '2026-10-14', steps: 7000 },
+      { employee_id: 2, location_id: 1, date: '2026-10-14', steps: 7000 },
+    ],
+    locations: [LOCATIONS[0]],
+  });
+  assert.equal(result.overall.summary.average, 7000);
+  assert.equal(result.overall.summary.rolling_average, 7000);
+});
+
+test('enrolment follows the location history', () => {
+  const result = compute({
+    assignments: [
+      ...ASSIGNMENTS,
+      { employee_id: 2, location_id: 2, start_date: '2026-10-15' },
+    ],
+    entries: ENTRIES.filter(e => e.employee_id !== 2),
+  });
+  assert.deepEqual(group(result, 'Oslo').points.map(p => p.enrolled_days), [2, 1]);
+  assert.deepEqual(group(result, 'Bergen').points.map(p => p.enrolled_days), [1, 2]);
+});
+
+test('grouping by team leaves out employees without one', () => {
+  const result = compute({
+    groupBy: 'team',
+    teams: [{ id: 7, name: 'Turgruppa' }],
+    teamOf: new Map([[1, 7]]),
+  });
+  assert.deepEqual(result.groups.map(g => g.name), ['Turgruppa']);
+  assert.equal(result.groups[0].summary.total, 12000);
+  assert.equal(result.overall.summary.total, 15000);
+});
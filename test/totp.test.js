@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+
+// The SHA1 secret from the test vectors in RFC 6238, appendix B, base32
+// encoded. The RFC lists eight digits; the last six are what apps show.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = seconds => seconds * 1000;
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(totp.codeForStep(SECRET, totp.currentStep(at(59))), '287082');
+  assert.equal(totp.codeForStep(SECRET, totp.currentStep(at(1111111109))), '081804');
+  assert.equal(totp.codeForStep(SECRET, totp.currentStep(at(1111111111))), '050471');
+  assert.equal(totp.codeForStep(SECRET, totp.currentStep(at(1234567890))), '005924');
+});
+
+test('verifyCode returns the step of a current code', () => {
+  const now = at(1234567890);
+  const step = totp.currentStep(now);
+  assert.equal(totp.verifyCode(SECRET, '005924', { now }), step);
+  assert.equal(totp.verifyCode(SECRET, '005 924', { now }), step);
+});
+
+test('verifyCode allows one step of clock drift either way', () => {
+  const now = at(1234567890);
+  const step = totp.currentStep(now);
+  assert.equal(totp.verifyCode(SECRET, totp.codeForStep(SECRET, step - 1), { now }), step - 1);
+  assert.equal(totp.verifyCode(SECRET, totp.codeForStep(SECRET, step + 1), { now }), step + 1);
+  assert.equal(totp.verifyCode(SECRET, totp.codeForStep(SECRET, step - 2), { now }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeForStep(SECRET, step + 2), { now }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeForStep(SECRET, step - 1), { now, window: 0 }), null);
+});
+
+test('verifyCode refuses steps up to lastStep', () => {
+  const now = at(1234567890);
+  const step = totp.currentStep(now);
+  assert.equal(totp.verifyCode(SECRET, '005924', { now, lastStep: step }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeForStep(SECRET, step + 1), { now, lastStep: step }), step + 1);
+});
+
+test('verifyCode refuses codes that are not six digits', () => {
+  const now = at(1234567890);
+  for (const code of ['', null, undefined, '00592', '0059245', 'abcdef', { code: '005924' }]) {
+    assert.equal(totp.verifyCode(SECRET, code, { now }), null);
+  }
+});
+
+test('generated secrets work with verifyCode', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const now = Date.now();
+  assert.equal(totp.verifyCode(secret, totp.codeForStep(secret, totp.currentStep(now)), { now }), totp.currentStep(now));
+});
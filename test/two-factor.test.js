@@ -0,0 +1,94 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+const { DEFAULT_ADMIN, ADMIN_PASSWORD, startServer, createClient, signInAsDefaultAdmin } = require('./helpers/server');
+
+// A code for the time step `offset` steps from now; the server accepts one
+// step of drift either way.
+const codeAt = (secret, offset = 0) => totp.codeForStep(secret, totp.currentStep() + offset);
+
+describe('two-factor authentication', () => {
+  let server;
+  let admin;
+  let secret;
+  let recoveryCodes;
+  before(async () => {
+    server = await startServer();
+    admin = createClient(server.url);
+    await signInAsDefaultAdmin(admin);
+  });
+  after(() => server.stop());
+
+  test('is enabled only with a code from the new secret', async () => {
+    const setup = await admin.post('/admin/2fa/setup');
+    assert.equal(setup.status, 200);
+    secret = setup.body.secret;
+    assert.match(setup.body.uri, /^otpauth:\/\/totp\//);
+
+    const wrong = await admin.post('/admin/2fa/enable', { code: codeAt(secret, 5) });
+    assert.equal(wrong.status, 400);
+    const enabled = await admin.post('/admin/2fa/enable', { code: codeAt(secret) });
+    assert.equal(enabled.status, 200);
+    recoveryCodes = enabled.body.recoveryCodes;
+    assert.equal(recoveryCodes.length, 10);
+  });
+
+  test('a password alone does not start a session', async () => {
+    const client = createClient(server.url);
+    const login = await client.post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.twoFactorRequired, true);
+    assert.equal((await client.get('/admin/employees')).status, 401);
+    assert.equal((await client.post('/admin/login/2fa', {})).status, 400);
+    assert.equal((await client.post('/admin/login/2fa', { code: codeAt(secret, 5) })).status, 401);
+  });
+
+  test('each code signs in once', async () => {
+    const code = codeAt(secret, 1);
+    const client = createClient(server.url);
+    await client.post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD });
+    assert.equal((await client.post('/admin/login/2fa', { code })).status, 200);
+    assert.equal((await client.get('/admin/employees')).status, 200);
+
+    const replay = createClient(server.url);
+    await replay.post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD });
+    assert.equal((await replay.post('/admin/login/2fa', { code })).status, 401);
+  });
+
+  test('recovery codes sign in once each', async () => {
+    const [recoveryCode] = recoveryCodes;
+    const client = createClient(server.url);
+    await client.post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD });
+    assert.equal((await client.post('/admin/login/2fa', { recoveryCode: recoveryCode.toUpperCase() })).status, 200);
+
+    const again = createClient(server.url);
+    await again.post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD });
+    assert.equal((await again.post('/admin/login/2fa', { recoveryCode })).status, 401);
+  });
+
+  test('is disabled only with the password', async () => {
+    assert.equal((await admin.post('/admin/2fa/disable', { password: ['x'] })).status, 400);
+    assert.equal((await admin.post('/admin/2fa/disable', { password: 'feil passord her' })).status, 401);
+    assert.equal((await admin.post('/admin/2fa/disable', { password: ADMIN_PASSWORD })).status, 200);
+    const login = await createClient(server.url).post('/admin/login', { email: DEFAULT_ADMIN, password: ADMIN_PASSWORD });
+    assert.equal(login.body.twoFactorRequired, undefined);
+  });
+
+  test('an account that requires it must enrol before using the panel', async () => {
+    const email = 'kari@example.com';
+    const password = 'Midlertidig passord 1';
+    const created = await admin.post('/admin/users', { email, password, role: 'viewer', twoFactorRequired: true });
+    assert.equal(created.status, 200);
+
+    const client = createClient(server.url);
+    await client.post('/admin/login', { email, password });
+    const change = await client.post('/admin/password', { currentPassword: password, newPassword: 'Lang og sterk frase' });
+    assert.equal(change.status, 200);
+    assert.equal((await client.get('/admin/employees')).status, 403);
+
+    const setup = await client.post('/admin/2fa/setup');
+    assert.equal((await client.post('/admin/2fa/enable', { code: codeAt(setup.body.secret) })).status, 200);
+    assert.equal((await client.get('/admin/employees')).status, 200);
+    assert.equal((await client.post('/admin/2fa/disable', { password: 'Lang og sterk frase' })).status, 409);
+  });
+});